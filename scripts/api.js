@@ -9,6 +9,18 @@ import { UIController } from "./ui-controller.js";
 import { ErrorHandler, Cache, DebugLogger } from "./utils.js";
 import { SceneManager } from "./scene-manager.js";
 import { StateManager } from "./state-manager.js";
+import { TimeUtils } from "./time-utils.js";
+import { WeatherDimensions } from "./weather-dimensions.js";
+import { WeatherUnits } from "./weather-units.js";
+import { WeatherEvents } from "./weather-events.js";
+import { WeatherFronts } from "./weather-fronts.js";
+import { WeatherGround } from "./weather-ground.js";
+import { WeatherLocks } from "./weather-locks.js";
+import { WeatherPrecipitation } from "./weather-precipitation.js";
+import { WeatherPresets } from "./weather-presets.js";
+import { WeatherClimate } from "./weather-climate.js";
+import { WeatherClimateReport } from "./weather-climate-report.js";
+import { WeatherWind } from "./weather-wind.js";
 import { WeatherDescriptionService } from "./services/weather-description.js";
 
 export class DimensionalWeatherAPI {
@@ -298,6 +310,39 @@ export class DimensionalWeatherAPI {
     }
   }
 
+  /**
+   * Set the weather seed for a scene
+   * Resets the step counter so weather replays from the start of the sequence.
+   * @param {string} [seed] - Seed value (derived from the world seed or randomized if omitted)
+   * @param {Object} [options] - Options
+   * @param {Scene} [options.scene] - Scene to update (uses viewed scene if not specified)
+   * @returns {Promise<string|null>} The seed that was set, or null on failure
+   */
+  async setSeed(seed, options = {}) {
+    try {
+      if (!this.initialized) {
+        await this.initialize();
+      }
+
+      const scene = options.scene || game.scenes.viewed;
+      if (!scene?.id || !SceneManager.getWeatherState(scene)) {
+        ErrorHandler.logAndNotify("No weather state found for scene", null, true);
+        return null;
+      }
+
+      const newSeed =
+        seed !== undefined && String(seed).trim() !== ""
+          ? String(seed).trim()
+          : this.engine.resolveSeed(scene);
+
+      await SceneManager.updateWeatherState({ seed: newSeed, step: 0 }, scene);
+      return newSeed;
+    } catch (error) {
+      ErrorHandler.logAndNotify(`Failed to set seed: ${seed}`, error);
+      return null;
+    }
+  }
+
   /**
    * Get current weather statistics
    * @returns {Object} Weather statistics
@@ -317,23 +362,72 @@ export class DimensionalWeatherAPI {
     const terrainName = terrainData?.name || weatherState.terrain;
     const seasonData = this.settingsData?.seasons?.[weatherState.season];
     const seasonName = seasonData?.name || weatherState.season;
+    const climate = this.getClimate();
 
     return {
       initialized: true,
       weatherAvailable: true,
       campaign: campaignName,
-      temperature: weatherState.temperature,
-      wind: weatherState.wind,
-      precipitation: weatherState.precipitation,
-      humidity: weatherState.humidity,
+      ...WeatherDimensions.pick(weatherState, this.settingsData),
+      unitSystem: WeatherUnits.getSystem(),
+      units: WeatherUnits.getMeasurements(weatherState, this.settingsData),
+      events: WeatherEvents.getActive(weatherState, this.settingsData).map(
+        (event) => ({ key: event.key, name: event.name, until: event.until })
+      ),
+      fronts: this.getFronts(),
+      locks: this.getLocks(),
+      windVector: this._getWindStats(weatherState),
+      precipitationType: this._getPrecipitationTypeStats(weatherState),
+      ground: { ...weatherState.ground },
+      travelPace: WeatherGround.getTravelPace(weatherState, this.settingsData).pace,
+      climate: climate
+        ? { year: climate.year, anomaly: climate.anomaly?.name ?? null, source: climate.source }
+        : null,
+      target: weatherState.target ?? null,
       variability: Settings.getSetting("variability"),
       terrain: terrainName,
       season: seasonName,
+      seed: weatherState.seed ?? null,
+      step: weatherState.step ?? 0,
       lastUpdate: weatherState.lastUpdate,
       scene: game.scenes.viewed?.name || "No active scene",
     };
   }
 
+  /**
+   * Summarize a weather state's wind vector for getWeatherStats
+   * @private
+   * @param {Object} weatherState - Weather state
+   * @returns {Object|null} direction in degrees, compass point, gust and the gust in real-world units, or null if there is no wind vector
+   */
+  _getWindStats(weatherState) {
+    const windVector = weatherState?.windVector;
+    if (typeof windVector?.direction !== "number") return null;
+
+    const measurement = WeatherUnits.measure(
+      WeatherWind.getDimension(this.settingsData),
+      windVector.gust,
+      this.settingsData
+    );
+    return {
+      direction: windVector.direction,
+      compass: windVector.compass,
+      gust: windVector.gust,
+      gustUnits: measurement ? WeatherUnits.format(measurement) : null,
+    };
+  }
+
+  /**
+   * Summarize what is falling in a weather state for getWeatherStats
+   * @private
+   * @param {Object} weatherState - Weather state
+   * @returns {Object|null} Type key and name, or null if nothing falls
+   */
+  _getPrecipitationTypeStats(weatherState) {
+    const type = WeatherPrecipitation.getType(weatherState, this.settingsData);
+    return type ? { key: type.key, name: type.name } : null;
+  }
+
   /**
    * Get help text about available commands
    * @returns {string} Help text HTML
@@ -356,14 +450,17 @@ export class DimensionalWeatherAPI {
     const currentCampaign = Settings.getSetting("campaign");
     const campaignClass = currentCampaign ? `campaign-${currentCampaign}` : '';
     
-    return `<div class="weather-report ${campaignClass}"><h3>WEATHER SYSTEM COMMANDS</h3><div class="command"><span class="command-name">/weather</span><span class="command-desc">: Display current weather</span></div><h4>GM Commands:</h4><div class="command"><span class="command-name">/weather calc</span><span class="command-desc">: Display weather calculation details (GM only)</span></div><div class="command"><span class="command-name">/weather random [0-10]</span><span class="command-desc">: Set randomness</span></div><div class="command"><span class="command-name">/weather season [name]</span><span class="command-desc">: Change season</span></div><div class="command"><span class="command-name">/weather settings</span><span class="command-desc">: Open settings</span></div><div class="command"><span class="command-name">/weather stats</span><span class="command-desc">: Display scene base stats</span></div><div class="command"><span class="command-name">/weather terrain [name]</span><span class="command-desc">: Change terrain</span></div><div class="command"><span class="command-name">/weather update</span><span class="command-desc">: Force update</span></div><h4>Available Terrains:</h4><div class="list-section">${terrainList}</div><h4>Available Seasons:</h4><div class="list-section">${seasonList}</div></div>`;
+    return `<div class="weather-report ${campaignClass}"><h3>WEATHER SYSTEM COMMANDS</h3><div class="command"><span class="command-name">/weather</span><span class="command-desc">: Display current weather</span></div><h4>GM Commands:</h4><div class="command"><span class="command-name">/weather calc</span><span class="command-desc">: Display weather calculation details (GM only)</span></div><div class="command"><span class="command-name">/weather catchup</span><span class="command-desc">: Show weather simulated during the last time skip</span></div><div class="command"><span class="command-name">/weather climate [year|set|pin|unpin|clear]</span><span class="command-desc">: Show or override the year's climate anomaly</span></div><div class="command"><span class="command-name">/weather climatereport [terrain=name|all] [season=name] [samples=n] [output=chat|journal|json]</span><span class="command-desc">: Roll the weather many times over and report how it turns out</span></div><div class="command"><span class="command-name">/weather forecast [regenerate|discard]</span><span class="command-desc">: Show, regenerate or discard the committed forecast</span></div><div class="command"><span class="command-name">/weather front [name|clear] [now]</span><span class="command-desc">: List, spawn or clear weather fronts</span></div><div class="command"><span class="command-name">/weather history [n|clear]</span><span class="command-desc">: Show or clear the scene's logged weather updates</span></div><div class="command"><span class="command-name">/weather lock [dimension] [value|min=n max=n] [hours=n]</span><span class="command-desc">: Hold a dimension at a value or within a band</span></div><div class="command"><span class="command-name">/weather preset [list|save|apply|delete] [name]</span><span class="command-desc">: List, save, apply or delete weather presets</span></div><div class="command"><span class="command-name">/weather preview [terrain=name] [season=name] [random=0-10] [samples=n]</span><span class="command-desc">: Preview the next update without committing it</span></div><div class="command"><span class="command-name">/weather random [0-10]</span><span class="command-desc">: Set randomness</span></div><div class="command"><span class="command-name">/weather season [name]</span><span class="command-desc">: Change season</span></div><div class="command"><span class="command-name">/weather seed [value]</span><span class="command-desc">: Show or set the scene's weather seed</span></div><div class="command"><span class="command-name">/weather set [dimension=value ...] [report]</span><span class="command-desc">: Set weather values by hand</span></div><div class="command"><span class="command-name">/weather settings</span><span class="command-desc">: Open settings</span></div><div class="command"><span class="command-name">/weather stats</span><span class="command-desc">: Display scene base stats</span></div><div class="command"><span class="command-name">/weather terrain [name]</span><span class="command-desc">: Change terrain</span></div><div class="command"><span class="command-name">/weather unlock [dimension|all]</span><span class="command-desc">: Release locked dimensions</span></div><div class="command"><span class="command-name">/weather update</span><span class="command-desc">: Force update</span></div><h4>Available Terrains:</h4><div class="list-section">${terrainList}</div><h4>Available Seasons:</h4><div class="list-section">${seasonList}</div></div>`;
   }
 
   /**
    * Generate a weather forecast
+   * The forecast is committed to the scene so later updates follow it.
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.regenerate] - Replace any existing committed forecast
    * @returns {Promise<string>} Forecast text
    */
-  async generateForecast() {
+  async generateForecast(options = {}) {
     try {
       if (!this.initialized) {
         await this.initialize();
@@ -374,7 +471,7 @@ export class DimensionalWeatherAPI {
         return "No active scene.";
       }
 
-      const weatherState = scene.getFlag("dimensional-weather", "weatherState");
+      const weatherState = SceneManager.getWeatherState(scene);
       if (!weatherState) {
         return "No weather state found for current scene.";
       }
@@ -385,16 +482,35 @@ export class DimensionalWeatherAPI {
       // Get current campaign ID for CSS class
       const currentCampaign = Settings.getSetting("campaign");
       const campaignClass = currentCampaign ? `campaign-${currentCampaign}` : '';
-      
-      let forecast = `<div class="weather-report ${campaignClass}"><h3>WEATHER FORECAST</h3><h4>Current Conditions</h4><ul><li>Terrain: ${terrain.name}</li><li>Season: ${season.name}</li><li>Temperature: ${weatherState.temperature}</li><li>Wind: ${weatherState.wind}</li><li>Precipitation: ${weatherState.precipitation}</li><li>Humidity: ${weatherState.humidity}</li></ul>`;
+      const precipitationType = WeatherPrecipitation.getType(weatherState, this.settingsData);
+
+      let forecast = `<div class="weather-report ${campaignClass}"><h3>WEATHER FORECAST</h3><h4>Current Conditions</h4><ul><li>Terrain: ${terrain.name}</li><li>Season: ${season.name}</li>${WeatherDimensions.formatListItems(weatherState, this.settingsData)}${
+        weatherState.windVector
+          ? `<li>Wind Direction: ${WeatherWind.describe(weatherState.windVector, this.settingsData, { html: true })}</li>`
+          : ""
+      }${
+        precipitationType ? `<li>Precipitation Type: ${precipitationType.name}</li>` : ""
+      }</ul>`;
 
       // Add survival rules if any apply
-      const rules = [];
-      if (weatherState.temperature >= 2)
-        rules.push("Water consumption is doubled");
-      if (weatherState.wind >= 6)
-        rules.push("Ranged attacks have disadvantage");
-      if (weatherState.precipitation >= 3) rules.push("Visibility is reduced");
+      const rules = [
+        ...WeatherDimensions.getTriggeredRules(weatherState, this.settingsData),
+        ...WeatherGround.getTriggeredRules(weatherState, this.settingsData),
+      ].map((rule) => rule.description);
+
+      const fronts = WeatherFronts.formatPhases(
+        weatherState.fronts,
+        weatherState.lastUpdate,
+        this.settingsData
+      );
+      if (fronts) {
+        forecast += `<h4>Weather Fronts</h4><p>${fronts}</p>`;
+      }
+
+      const events = WeatherEvents.formatNames(weatherState.events, this.settingsData);
+      if (events) {
+        forecast += `<h4>Weather Events</h4><p>${events}</p>`;
+      }
 
       if (rules.length > 0) {
         forecast += `<h4>Survival Rules</h4><ul>${rules
@@ -402,6 +518,41 @@ export class DimensionalWeatherAPI {
           .join("")}</ul>`;
       }
 
+      // Add the committed multi-day forecast
+      const committed = await this.engine.getForecast({
+        scene,
+        regenerate: options.regenerate,
+      });
+      if (committed?.entries?.length) {
+        const days = new Map();
+        for (const entry of committed.entries) {
+          if (!days.has(entry.day)) days.set(entry.day, []);
+          days.get(entry.day).push(entry);
+        }
+
+        for (const [day, entries] of days) {
+          const seasonName =
+            this.settingsData.seasons[entries[0].season]?.name || entries[0].season;
+          forecast += `<h4>Day ${day} (${seasonName})</h4><ul>${entries
+            .map((entry) => {
+              const fronts = WeatherFronts.formatPhases(
+                entry.fronts,
+                entry.time,
+                this.settingsData
+              );
+              const events = WeatherEvents.formatNames(entry.events, this.settingsData);
+              const wind = WeatherWind.describe(entry.windVector, this.settingsData, { html: true });
+              const type = WeatherPrecipitation.getType(entry, this.settingsData);
+              return `<li>${entry.timePeriod}: ${WeatherDimensions.formatInline(entry, this.settingsData)}${
+                type ? ` — ${type.name}` : ""
+              }${wind ? ` — wind ${wind}` : ""
+              }${fronts ? ` — ${fronts}` : ""
+              }${events ? ` — <strong>${events}</strong>` : ""}</li>`;
+            })
+            .join("")}</ul>`;
+        }
+      }
+
       forecast += "</div>";
       return forecast;
     } catch (error) {
@@ -410,6 +561,683 @@ export class DimensionalWeatherAPI {
     }
   }
 
+  /**
+   * Discard the forecast committed to the current scene
+   * Weather updates go back to free rolls until a new forecast is generated.
+   * @returns {Promise<boolean>} Success status
+   */
+  async discardForecast() {
+    try {
+      if (!this.initialized) {
+        await this.initialize();
+      }
+
+      return await this.engine.discardForecast();
+    } catch (error) {
+      ErrorHandler.logAndNotify("Failed to discard forecast", error);
+      return false;
+    }
+  }
+
+  /**
+   * Get the weather simulated during the scene's last time skip
+   * @param {Object} [options] - Options
+   * @param {Scene} [options.scene] - Scene to read, defaults to the viewed scene
+   * @returns {Object|null} Catch-up record with from, to, missed, skipped and steps
+   */
+  getCatchUpHistory(options = {}) {
+    if (!this.initialized) {
+      return null;
+    }
+
+    const weatherState = SceneManager.getWeatherState(options.scene);
+    return weatherState?.catchUp ?? null;
+  }
+
+  /**
+   * Preview the next weather update without committing it
+   * @param {Object} [options] - Options
+   * @param {string} [options.terrain] - Terrain key, defaults to the terrain the next update uses
+   * @param {string} [options.season] - Season key, defaults to the current season
+   * @param {number} [options.variability] - Weather variability, defaults to the setting
+   * @param {number} [options.samples] - Alternative rolls for the distribution (0 for none)
+   * @param {Scene} [options.scene] - Scene to preview, defaults to the viewed scene
+   * @returns {Promise<Object|null>} Preview with the next update's weather state and details and the distribution, or null on failure
+   */
+  async previewUpdate(options = {}) {
+    try {
+      if (!this.initialized) {
+        await this.initialize();
+      }
+
+      return this.engine.previewUpdate(options);
+    } catch (error) {
+      ErrorHandler.logAndNotify("Failed to preview weather update", error);
+      return null;
+    }
+  }
+
+  /**
+   * Generate a climate report by rolling the weather many times over
+   * The rolls run in chunks so the client keeps responding, and are capped at
+   * WeatherClimateReport.MAX_CLIENT_SAMPLES; use the Node script for more.
+   * @param {Object} [options] - Options
+   * @param {string[]} [options.terrains] - Terrain keys, defaults to every terrain
+   * @param {string[]} [options.seasons] - Season keys, defaults to every season
+   * @param {number} [options.samples] - Rolls per terrain, season and time period, 200 by default
+   * @param {number} [options.variability] - Weather variability, defaults to the setting
+   * @param {string} [options.seed] - Seed the rolls are made from
+   * @returns {Promise<Object|null>} Report with a summary per terrain, season and time period, or null on failure
+   */
+  async generateClimateReport(options = {}) {
+    try {
+      if (!this.initialized) {
+        await this.initialize();
+      }
+
+      const samples = Math.min(
+        Number(options.samples ?? 200) || 200,
+        WeatherClimateReport.MAX_CLIENT_SAMPLES
+      );
+      return await WeatherClimateReport.generateInChunks(this.settingsData, {
+        variability: Settings.getSetting("variability"),
+        ...options,
+        samples,
+      });
+    } catch (error) {
+      ErrorHandler.logAndNotify("Failed to generate climate report", error);
+      return null;
+    }
+  }
+
+  /**
+   * Save a climate report to a journal entry only GMs can see
+   * @param {Object} report - Report from generateClimateReport()
+   * @returns {Promise<JournalEntry|null>} Journal entry, or null on failure
+   */
+  async createClimateReportJournal(report) {
+    try {
+      const name = `Climate Report: ${report.campaign.name || report.campaign.id}`;
+      return await JournalEntry.create({
+        name,
+        pages: [
+          {
+            name,
+            type: "text",
+            text: { content: WeatherClimateReport.render(report, this.settingsData) },
+          },
+        ],
+      });
+    } catch (error) {
+      ErrorHandler.logAndNotify("Failed to save climate report to the journal", error);
+      return null;
+    }
+  }
+
+  /**
+   * Download a climate report as JSON
+   * @param {Object} report - Report from generateClimateReport()
+   * @returns {boolean} Success status
+   */
+  exportClimateReport(report) {
+    try {
+      foundry.utils.saveDataToFile(
+        JSON.stringify(report, null, 2),
+        "application/json",
+        `climate-report-${report.campaign.id || "campaign"}.json`
+      );
+      return true;
+    } catch (error) {
+      ErrorHandler.logAndNotify("Failed to export climate report", error);
+      return false;
+    }
+  }
+
+  /**
+   * Get the weather history logged for a scene
+   * @param {Object} [options] - Options
+   * @param {Scene} [options.scene] - Scene to read, defaults to the viewed scene
+   * @param {number} [options.limit] - Most entries to return
+   * @returns {Object[]} History entries, newest first, each with time, date, values, terrain, season, events, fronts, windVector, precipitationType, ground, source ("update", "manual" or "preset"), the preset name and details (null for values set by hand or by a preset)
+   */
+  getWeatherHistory(options = {}) {
+    if (!this.initialized) {
+      return [];
+    }
+
+    const history = SceneManager.getWeatherHistory(options.scene);
+    const limit = Number(options.limit);
+    return limit > 0 ? history.slice(0, limit) : history;
+  }
+
+  /**
+   * Clear the weather history logged for a scene
+   * @param {Object} [options] - Options
+   * @param {Scene} [options.scene] - Scene to clear, defaults to the viewed scene
+   * @returns {Promise<boolean>} Success status
+   */
+  async clearWeatherHistory(options = {}) {
+    try {
+      if (!this.initialized) {
+        await this.initialize();
+      }
+
+      return await SceneManager.clearWeatherHistory(options.scene);
+    } catch (error) {
+      ErrorHandler.logAndNotify("Failed to clear weather history", error);
+      return false;
+    }
+  }
+
+  /**
+   * Send a weather front toward a scene
+   * @param {string} front - Front key or name
+   * @param {Object} [options] - Options
+   * @param {Scene} [options.scene] - Scene to update, defaults to the viewed scene
+   * @param {boolean} [options.immediate] - Arrive at once instead of approaching
+   * @returns {Promise<Object|null>} Front with key, name, start and end, or null on failure
+   */
+  async spawnFront(front, options = {}) {
+    try {
+      if (!this.initialized) {
+        await this.initialize();
+      }
+
+      const key = WeatherFronts.resolve(front, this.settingsData);
+      if (!key) {
+        ErrorHandler.logAndNotify(`Unknown weather front: ${front}`, null, true);
+        return null;
+      }
+
+      return await this.engine.spawnFront(key, options);
+    } catch (error) {
+      ErrorHandler.logAndNotify(`Failed to spawn weather front: ${front}`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Remove every weather front from a scene
+   * @param {Object} [options] - Options
+   * @param {Scene} [options.scene] - Scene to update, defaults to the viewed scene
+   * @returns {Promise<boolean>} Success status
+   */
+  async clearFronts(options = {}) {
+    try {
+      if (!this.initialized) {
+        await this.initialize();
+      }
+
+      return await this.engine.clearFronts(options.scene);
+    } catch (error) {
+      ErrorHandler.logAndNotify("Failed to clear weather fronts", error);
+      return false;
+    }
+  }
+
+  /**
+   * Get the weather fronts acting on or approaching a scene
+   * @param {Object} [options] - Options
+   * @param {Scene} [options.scene] - Scene to read, defaults to the viewed scene
+   * @returns {Object[]} Fronts with key, name, start, end, phase and intensity
+   */
+  getFronts(options = {}) {
+    if (!this.initialized) {
+      return [];
+    }
+
+    const weatherState = SceneManager.getWeatherState(options.scene);
+    const time = TimeUtils.getCurrentTimestamp();
+    return (weatherState?.fronts || [])
+      .filter((front) => front.end > time)
+      .map((front) => ({
+        ...front,
+        ...WeatherFronts.getPhase(front, time, this.settingsData),
+      }));
+  }
+
+  /**
+   * Get the ground conditions the weather has left in a scene
+   * @param {Object} [options] - Options
+   * @param {Scene} [options.scene] - Scene to read, defaults to the viewed scene
+   * @returns {Object} levels keyed by condition, the conditions present with their descriptions, triggered rules and travel pace
+   */
+  getGroundConditions(options = {}) {
+    const empty = { levels: {}, conditions: [], rules: [], travelPace: { pace: 1, reason: null } };
+    if (!this.initialized) {
+      return empty;
+    }
+
+    const weatherState = SceneManager.getWeatherState(options.scene);
+    if (!weatherState) return empty;
+
+    return {
+      levels: { ...weatherState.ground },
+      conditions: WeatherGround.getActive(weatherState, this.settingsData).map(
+        ({ key, name, level, description }) => ({ key, name, level, description })
+      ),
+      rules: WeatherGround.getTriggeredRules(weatherState, this.settingsData),
+      travelPace: WeatherGround.getTravelPace(weatherState, this.settingsData),
+    };
+  }
+
+  /**
+   * Set weather dimensions in a scene by hand
+   * Each value must fall within its dimension's range and is snapped to its
+   * step; the snapped value must fall within any lock on the dimension.
+   * The change applies at once and is logged in the scene's weather history.
+   * @param {Object} values - Values keyed by dimension key, name or alias
+   * @param {Object} [options] - Options
+   * @param {Scene} [options.scene] - Scene to update, defaults to the viewed scene
+   * @param {boolean} [options.report] - Post the weather report to chat afterwards (viewed scene only)
+   * @returns {Promise<Object|null>} Updated weather state, or null on failure
+   */
+  async setWeather(values, options = {}) {
+    try {
+      if (!this.initialized) {
+        await this.initialize();
+      }
+
+      const entries = Object.entries(values || {});
+      if (!entries.length) {
+        ErrorHandler.logAndNotify("No weather values to set", null, true);
+        return null;
+      }
+
+      const weatherState = SceneManager.getWeatherState(options.scene, { raw: true });
+      if (!weatherState) {
+        ErrorHandler.logAndNotify("No weather state found for scene", null, true);
+        return null;
+      }
+
+      const locks = WeatherLocks.getActive(
+        weatherState.locks,
+        TimeUtils.getCurrentTimestamp(),
+        this.settingsData
+      );
+      const resolved = {};
+      for (const [dimension, value] of entries) {
+        const key = WeatherDimensions.resolve(dimension, this.settingsData);
+        if (!key) {
+          ErrorHandler.logAndNotify(`Unknown weather dimension: ${dimension}`, null, true);
+          return null;
+        }
+
+        const problem = WeatherDimensions.validateValue(key, value, this.settingsData);
+        if (problem) {
+          ErrorHandler.logAndNotify(problem, null, true);
+          return null;
+        }
+
+        const number = WeatherDimensions.clamp(key, value, this.settingsData);
+        if (WeatherLocks.clamp(key, number, locks) !== number) {
+          const lock = locks.find((current) => current.dimension === key);
+          ErrorHandler.logAndNotify(
+            `${WeatherLocks.describe(lock, this.settingsData)}; unlock it first`,
+            null,
+            true
+          );
+          return null;
+        }
+        resolved[key] = number;
+      }
+
+      const state = await this.engine.setWeather(resolved, options.scene);
+      if (state && options.report && (!options.scene || options.scene === game.scenes.viewed)) {
+        await this.displayWeather();
+      }
+      return state;
+    } catch (error) {
+      ErrorHandler.logAndNotify("Failed to set weather", error);
+      return null;
+    }
+  }
+
+  /**
+   * Get the weather presets available in the campaign setting
+   * @returns {Object[]} Presets with key, name, source ("campaign" or "world"), terrain, values, events and locks
+   */
+  getPresets() {
+    if (!this.initialized) {
+      return [];
+    }
+
+    return WeatherPresets.getAll(this.settingsData);
+  }
+
+  /**
+   * Save a scene's weather as a preset in the world
+   * Saving under the name of a preset already saved in the world for this
+   * campaign replaces it; names taken by another campaign's presets are refused.
+   * @param {string} name - Preset name
+   * @param {Object} [options] - Options
+   * @param {Scene} [options.scene] - Scene to capture, defaults to the viewed scene
+   * @returns {Promise<Object|null>} Preset with its key, or null on failure
+   */
+  async savePreset(name, options = {}) {
+    try {
+      if (!this.initialized) {
+        await this.initialize();
+      }
+
+      const key = WeatherPresets.toKey(name);
+      if (!key) {
+        ErrorHandler.logAndNotify("Preset name must contain letters or digits", null, true);
+        return null;
+      }
+      if (this.settingsData?.presets?.[key]) {
+        ErrorHandler.logAndNotify(
+          `The campaign setting already has a preset named ${name}`,
+          null,
+          true
+        );
+        return null;
+      }
+
+      const worldPresets = WeatherPresets.getWorldPresets();
+      const existing = worldPresets[key];
+      if (existing?.campaign && existing.campaign !== this.settingsData?.id) {
+        ErrorHandler.logAndNotify(
+          `Another campaign setting already has a preset named ${name} saved in this world`,
+          null,
+          true
+        );
+        return null;
+      }
+
+      // Capture the weather the scene is heading to, not a blend partway there
+      const weatherState = SceneManager.getWeatherState(options.scene, { raw: true });
+      if (!weatherState) {
+        ErrorHandler.logAndNotify("No weather state found for scene", null, true);
+        return null;
+      }
+
+      const preset = WeatherPresets.capture(
+        String(name).trim(),
+        weatherState,
+        TimeUtils.getCurrentTimestamp(),
+        this.settingsData
+      );
+      await Settings.updateSetting("weatherPresets", {
+        ...worldPresets,
+        [key]: preset,
+      });
+      return { ...preset, key };
+    } catch (error) {
+      ErrorHandler.logAndNotify(`Failed to save weather preset: ${name}`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Apply a preset to a scene
+   * @param {string} preset - Preset key or name
+   * @param {Object} [options] - Options
+   * @param {Scene} [options.scene] - Scene to update, defaults to the viewed scene
+   * @param {boolean} [options.report] - Post the weather report to chat afterwards (viewed scene only)
+   * @returns {Promise<Object|null>} Updated weather state, or null on failure
+   */
+  async applyPreset(preset, options = {}) {
+    try {
+      if (!this.initialized) {
+        await this.initialize();
+      }
+
+      const key = WeatherPresets.resolve(preset, this.settingsData);
+      if (!key) {
+        ErrorHandler.logAndNotify(`Unknown weather preset: ${preset}`, null, true);
+        return null;
+      }
+
+      const state = await this.engine.applyPreset(
+        WeatherPresets.get(key, this.settingsData),
+        options.scene
+      );
+      if (!state) {
+        ErrorHandler.logAndNotify("No weather state found for scene", null, true);
+        return null;
+      }
+      if (options.report && (!options.scene || options.scene === game.scenes.viewed)) {
+        await this.displayWeather();
+      }
+      return state;
+    } catch (error) {
+      ErrorHandler.logAndNotify(`Failed to apply weather preset: ${preset}`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Delete a preset saved in the world
+   * Presets that come with the campaign setting cannot be deleted.
+   * @param {string} preset - Preset key or name
+   * @returns {Promise<boolean>} Success status
+   */
+  async deletePreset(preset) {
+    try {
+      if (!this.initialized) {
+        await this.initialize();
+      }
+
+      const key = WeatherPresets.resolve(preset, this.settingsData);
+      const presets = WeatherPresets.getWorldPresets();
+      if (!key || !presets[key]) {
+        ErrorHandler.logAndNotify(
+          key
+            ? `Weather preset ${preset} comes with the campaign setting and cannot be deleted`
+            : `Unknown weather preset: ${preset}`,
+          null,
+          true
+        );
+        return false;
+      }
+
+      delete presets[key];
+      await Settings.updateSetting("weatherPresets", presets);
+      return true;
+    } catch (error) {
+      ErrorHandler.logAndNotify(`Failed to delete weather preset: ${preset}`, error);
+      return false;
+    }
+  }
+
+  /**
+   * Lock a weather dimension in a scene at a value or within a band
+   * The lock replaces any other on the dimension and holds through updates
+   * and forecasts until it is cleared or expires.
+   * @param {string} dimension - Dimension key or name
+   * @param {Object} options - Options
+   * @param {number} [options.value] - Value to hold the dimension at
+   * @param {number} [options.min] - Lowest value the dimension may take
+   * @param {number} [options.max] - Highest value the dimension may take
+   * @param {number} [options.until] - Game-time timestamp the lock expires at
+   * @param {number} [options.hours] - Hours of game time until the lock expires, instead of until
+   * @param {Scene} [options.scene] - Scene to update, defaults to the viewed scene
+   * @returns {Promise<Object|null>} Lock with dimension, min, max and until, or null on failure
+   */
+  async setLock(dimension, options = {}) {
+    try {
+      if (!this.initialized) {
+        await this.initialize();
+      }
+
+      const key = WeatherDimensions.resolve(dimension, this.settingsData);
+      if (!key) {
+        ErrorHandler.logAndNotify(`Unknown weather dimension: ${dimension}`, null, true);
+        return null;
+      }
+
+      const problem = WeatherLocks.validate(key, options, this.settingsData);
+      if (problem) {
+        ErrorHandler.logAndNotify(problem, null, true);
+        return null;
+      }
+
+      const hours = Number(options.hours);
+      if (options.hours !== undefined && !(hours > 0)) {
+        ErrorHandler.logAndNotify("Lock hours must be a positive number", null, true);
+        return null;
+      }
+      const until =
+        options.hours !== undefined
+          ? TimeUtils.getCurrentTimestamp() + hours * TimeUtils.getHourLength()
+          : options.until;
+
+      const lock = WeatherLocks.create(key, { ...options, until }, this.settingsData);
+      const success = await this.engine.setLock(lock, options.scene);
+      return success ? lock : null;
+    } catch (error) {
+      ErrorHandler.logAndNotify(`Failed to lock weather dimension: ${dimension}`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Release a locked weather dimension, or every lock, in a scene
+   * @param {string} [dimension] - Dimension key or name, or "all"; defaults to every lock
+   * @param {Object} [options] - Options
+   * @param {Scene} [options.scene] - Scene to update, defaults to the viewed scene
+   * @returns {Promise<boolean>} Success status
+   */
+  async clearLock(dimension = "all", options = {}) {
+    try {
+      if (!this.initialized) {
+        await this.initialize();
+      }
+
+      let key = null;
+      if (dimension && dimension !== "all") {
+        key = WeatherDimensions.resolve(dimension, this.settingsData);
+        if (!key) {
+          ErrorHandler.logAndNotify(`Unknown weather dimension: ${dimension}`, null, true);
+          return false;
+        }
+      }
+
+      return await this.engine.clearLocks(key, options.scene);
+    } catch (error) {
+      ErrorHandler.logAndNotify(`Failed to unlock weather dimension: ${dimension}`, error);
+      return false;
+    }
+  }
+
+  /**
+   * Get the weather dimensions locked in a scene
+   * @param {Object} [options] - Options
+   * @param {Scene} [options.scene] - Scene to read, defaults to the viewed scene
+   * @returns {Object[]} Locks in force with dimension, name, min, max, until and description
+   */
+  getLocks(options = {}) {
+    if (!this.initialized) {
+      return [];
+    }
+
+    const weatherState = SceneManager.getWeatherState(options.scene);
+    return WeatherLocks.getActive(
+      weatherState?.locks,
+      TimeUtils.getCurrentTimestamp(),
+      this.settingsData
+    ).map((lock) => ({
+      ...lock,
+      name: WeatherDimensions.get(lock.dimension, this.settingsData).name,
+      description: WeatherLocks.describe(lock, this.settingsData),
+    }));
+  }
+
+  /**
+   * Get a calendar year's climate
+   * @param {Object} [options] - Options
+   * @param {number} [options.year] - Calendar year, defaults to the current year
+   * @returns {Object|null} Climate summary with year, anomaly, source, cycles, the offset each season gets and, for the current year, the offset applying now; null if the campaign defines no climate
+   */
+  getClimate(options = {}) {
+    if (!this.initialized || !this.settingsData?.climate) {
+      return null;
+    }
+
+    const time = TimeUtils.getCurrentTimestamp();
+    const currentYear = TimeUtils.getYearAt(time);
+    const year = Number.isFinite(Number(options.year)) ? Number(options.year) : currentYear;
+    const season =
+      SceneManager.getWeatherState()?.season || Settings.getSetting("season");
+
+    return {
+      ...WeatherClimate.getSummary(year, this.settingsData),
+      current:
+        year === currentYear
+          ? WeatherClimate.getModifiers(time, season, this.settingsData)?.modifiers ?? null
+          : null,
+    };
+  }
+
+  /**
+   * Set the climate anomaly of a calendar year, or pin one for every year
+   * Any committed forecast is discarded so the next one reflects the change.
+   * @param {string} anomaly - Anomaly key or name, or "normal" for a year without one
+   * @param {Object} [options] - Options
+   * @param {number} [options.year] - Calendar year, defaults to the current year
+   * @param {boolean} [options.pin] - Apply the anomaly to every year
+   * @returns {Promise<boolean>} Success status
+   */
+  async setClimateAnomaly(anomaly, options = {}) {
+    try {
+      if (!this.initialized) {
+        await this.initialize();
+      }
+
+      const key = WeatherClimate.resolve(anomaly, this.settingsData);
+      if (!key) {
+        ErrorHandler.logAndNotify(`Unknown climate anomaly: ${anomaly}`, null, true);
+        return false;
+      }
+
+      const overrides = WeatherClimate.getOverrides();
+      if (options.pin) {
+        overrides.pinned = key;
+      } else {
+        const year = options.year ?? TimeUtils.getYearAt(TimeUtils.getCurrentTimestamp());
+        overrides.years[year] = key;
+      }
+
+      await Settings.updateSetting("climateOverrides", overrides);
+      await this.engine.discardForecast();
+      return true;
+    } catch (error) {
+      ErrorHandler.logAndNotify(`Failed to set climate anomaly: ${anomaly}`, error);
+      return false;
+    }
+  }
+
+  /**
+   * Clear a climate anomaly set by hand, returning to the rolled climate
+   * @param {Object} [options] - Options
+   * @param {number} [options.year] - Calendar year to clear, defaults to the current year
+   * @param {boolean} [options.pin] - Clear the pinned anomaly instead of a year's
+   * @returns {Promise<boolean>} Success status
+   */
+  async clearClimateAnomaly(options = {}) {
+    try {
+      if (!this.initialized) {
+        await this.initialize();
+      }
+
+      const overrides = WeatherClimate.getOverrides();
+      if (options.pin) {
+        overrides.pinned = null;
+      } else {
+        const year = options.year ?? TimeUtils.getYearAt(TimeUtils.getCurrentTimestamp());
+        delete overrides.years[year];
+      }
+
+      await Settings.updateSetting("climateOverrides", overrides);
+      await this.engine.discardForecast();
+      return true;
+    } catch (error) {
+      ErrorHandler.logAndNotify("Failed to clear climate anomaly", error);
+      return false;
+    }
+  }
+
   /**
    * Get current time period
    * @returns {string} Time period name
@@ -536,68 +1364,7 @@ export class DimensionalWeatherAPI {
             return;
           }
 
-          // Get current campaign ID for CSS class
-          const currentCampaign = Settings.getSetting("campaign");
-          const campaignClass = currentCampaign ? `campaign-${currentCampaign}` : '';
-          
-          const details = `<div class="weather-report ${campaignClass}">
-            <h3>Weather Calculation Details</h3>
-            <hr>
-            <h4>Base Values (${calc.terrain.name})</h4>
-            <ul>
-              <li>Temperature: ${calc.terrain.baseTemp}</li>
-              <li>Wind: ${calc.terrain.baseWind}</li>
-              <li>Precipitation: ${calc.terrain.basePrecip}</li>
-              <li>Humidity: ${calc.terrain.baseHumid}</li>
-            </ul>
-            ${
-              calc.previous
-                ? `
-            <h4>Previous Values</h4>
-            <ul>
-              <li>Temperature: ${calc.previous.temp}</li>
-              <li>Wind: ${calc.previous.wind}</li>
-              <li>Precipitation: ${calc.previous.precip}</li>
-              <li>Humidity: ${calc.previous.humid}</li>
-            </ul>`
-                : ""
-            }
-            <h4>Random Factors (Variability: ${calc.variability})</h4>
-            <ul>
-              <li>Temperature: ${calc.randomFactors.temp.toFixed(2)}</li>
-              <li>Wind: ${calc.randomFactors.wind.toFixed(2)}</li>
-              <li>Precipitation: ${calc.randomFactors.precip.toFixed(2)}</li>
-              <li>Humidity: ${calc.randomFactors.humid.toFixed(2)}</li>
-            </ul>
-            <h4>Time Modifiers (${calc.timePeriod})</h4>
-            <ul>
-              <li>Temperature: ${calc.timeModifiers.temperature || 0}</li>
-              <li>Wind: ${calc.timeModifiers.wind || 0}</li>
-              <li>Precipitation: ${calc.timeModifiers.precipitation || 0}</li>
-              <li>Humidity: ${calc.timeModifiers.humidity || 0}</li>
-            </ul>
-            <h4>Season Modifiers (${calc.season})</h4>
-            <ul>
-              <li>Temperature: ${calc.seasonModifiers.temperature || 0}</li>
-              <li>Wind: ${calc.seasonModifiers.wind || 0}</li>
-              <li>Precipitation: ${calc.seasonModifiers.precipitation || 0}</li>
-              <li>Humidity: ${calc.seasonModifiers.humidity || 0}</li>
-            </ul>
-            <h4>Intermediate Values (After Random)</h4>
-            <ul>
-              <li>Temperature: ${calc.intermediate.temp}</li>
-              <li>Wind: ${calc.intermediate.wind}</li>
-              <li>Precipitation: ${calc.intermediate.precip}</li>
-              <li>Humidity: ${calc.intermediate.humid}</li>
-            </ul>
-            <h4>Final Values (After Modifiers)</h4>
-            <ul>
-              <li>Temperature: ${calc.final.temp}</li>
-              <li>Wind: ${calc.final.wind}</li>
-              <li>Precipitation: ${calc.final.precip}</li>
-              <li>Humidity: ${calc.final.humid}</li>
-            </ul>
-          </div>`;
+          const details = this.ui.renderCalculationReport(calc);
 
           await ChatMessage.create({
             content: details,
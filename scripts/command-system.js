@@ -6,6 +6,15 @@
 import { Settings } from "./settings.js";
 import { ErrorHandler, DebugLogger } from "./utils.js";
 import { SceneManager } from "./scene-manager.js";
+import { TimeUtils } from "./time-utils.js";
+import { WeatherDimensions } from "./weather-dimensions.js";
+import { WeatherEvents } from "./weather-events.js";
+import { WeatherFronts } from "./weather-fronts.js";
+import { WeatherLocks } from "./weather-locks.js";
+import { WeatherClimate } from "./weather-climate.js";
+import { WeatherClimateReport } from "./weather-climate-report.js";
+import { WeatherPrecipitation } from "./weather-precipitation.js";
+import { WeatherPresets } from "./weather-presets.js";
 
 export class WeatherCommandSystem {
   /**
@@ -142,6 +151,12 @@ export class WeatherCommandSystem {
       description: "Set weather variability (0-10)",
     });
 
+    // Register seed command
+    this._registerCommand("seed", this._handleSeedCommand.bind(this), {
+      requiresGM: true,
+      description: "Show or set the scene's weather seed",
+    });
+
     // Register stats command
     this._registerCommand("stats", this._handleStatsCommand.bind(this), {
       requiresGM: true,
@@ -151,7 +166,67 @@ export class WeatherCommandSystem {
     // Register forecast command
     this._registerCommand("forecast", this._handleForecastCommand.bind(this), {
       requiresGM: true,
-      description: "Display weather forecast",
+      description: "Display, regenerate or discard the committed weather forecast",
+    });
+
+    // Register front command
+    this._registerCommand("front", this._handleFrontCommand.bind(this), {
+      requiresGM: true,
+      description: "List, spawn or clear weather fronts",
+    });
+
+    // Register climate command
+    this._registerCommand("climate", this._handleClimateCommand.bind(this), {
+      requiresGM: true,
+      description: "Show or override the year's climate anomaly",
+    });
+
+    // Register catchup command
+    this._registerCommand("catchup", this._handleCatchUpCommand.bind(this), {
+      requiresGM: true,
+      description: "Show weather simulated during the last time skip",
+    });
+
+    // Register history command
+    this._registerCommand("history", this._handleHistoryCommand.bind(this), {
+      requiresGM: true,
+      description: "Show or clear the scene's weather history",
+    });
+
+    // Register set command
+    this._registerCommand("set", this._handleSetCommand.bind(this), {
+      requiresGM: true,
+      description: "Set weather values by hand",
+    });
+
+    // Register preset command
+    this._registerCommand("preset", this._handlePresetCommand.bind(this), {
+      requiresGM: true,
+      description: "List, save, apply or delete weather presets",
+    });
+
+    // Register lock command
+    this._registerCommand("lock", this._handleLockCommand.bind(this), {
+      requiresGM: true,
+      description: "List locked dimensions or lock one at a value or within a band",
+    });
+
+    // Register unlock command
+    this._registerCommand("unlock", this._handleUnlockCommand.bind(this), {
+      requiresGM: true,
+      description: "Release locked weather dimensions",
+    });
+
+    // Register preview command
+    this._registerCommand("preview", this._handlePreviewCommand.bind(this), {
+      requiresGM: true,
+      description: "Preview the next weather update without committing it",
+    });
+
+    // Register climatereport command
+    this._registerCommand("climatereport", this._handleClimateReportCommand.bind(this), {
+      requiresGM: true,
+      description: "Roll the weather many times over and report how it turns out",
     });
 
     // Register calc command
@@ -744,6 +819,42 @@ export class WeatherCommandSystem {
     }
   }
 
+  /**
+   * Handle the seed command
+   * @param {string[]} args - Command arguments
+   * @returns {Promise<Object>} Command result
+   */
+  async _handleSeedCommand(args) {
+    const weatherState = SceneManager.getWeatherState();
+    if (!weatherState) {
+      return this._createErrorResponse(
+        "No weather state found for current scene.",
+        { whisper: [game.user.id] }
+      );
+    }
+
+    // Without a value, report the current seed and step
+    if (args.length < 2) {
+      return this._createSuccessResponse(
+        `Weather seed: ${weatherState.seed ?? "(not yet assigned)"} (step ${weatherState.step ?? 0})`,
+        { whisper: [game.user.id] }
+      );
+    }
+
+    const input = args.slice(1).join(" ").trim();
+    const seed = await this.api.setSeed(input === "reset" ? undefined : input);
+    if (!seed) {
+      return this._createErrorResponse(`Failed to set seed to ${input}`, {
+        whisper: [game.user.id],
+      });
+    }
+
+    return this._createSuccessResponse(
+      `Weather seed set to ${seed}. Use /weather update to apply changes.`,
+      { whisper: [game.user.id] }
+    );
+  }
+
   /**
    * Handle the stats command
    * @param {string[]} args - Command arguments
@@ -757,7 +868,7 @@ export class WeatherCommandSystem {
       });
     }
 
-    const weatherState = scene.getFlag("dimensional-weather", "weatherState");
+    const weatherState = SceneManager.getWeatherState(scene);
     if (!weatherState) {
       return this._createErrorResponse(
         "No weather state found for current scene.",
@@ -767,6 +878,7 @@ export class WeatherCommandSystem {
 
     const terrain = this.api.settingsData.terrains[weatherState.terrain];
     const season = this.api.settingsData.seasons[weatherState.season];
+    const locks = this.api.getLocks({ scene });
 
     // Get current campaign ID for CSS class
     const currentCampaign = Settings.getSetting("campaign");
@@ -780,13 +892,16 @@ export class WeatherCommandSystem {
           <li>Terrain: ${terrain.name}</li>
           <li>Season: ${season.name}</li>
           <li>Variability: ${weatherState.variability || Settings.getSetting("variability")}</li>
+          <li>Seed: ${weatherState.seed ?? "(not yet assigned)"} (step ${weatherState.step ?? 0})</li>
         </ul>
+        ${locks.length ? `<h4>Locked Dimensions</h4>
+        <ul>${locks.map((lock) => `<li>${lock.description}</li>`).join("")}</ul>` : ""}
         <h4>Base Values</h4>
         <ul>
-          <li>Temperature: ${terrain.temperature}</li>
-          <li>Wind: ${terrain.wind}</li>
-          <li>Precipitation: ${terrain.precipitation}</li>
-          <li>Humidity: ${terrain.humidity}</li>
+          ${WeatherDimensions.formatListItems(
+            WeatherDimensions.getBaseline(terrain, this.api.settingsData),
+            this.api.settingsData
+          )}
         </ul>
       </div>`,
       { whisper: ChatMessage.getWhisperRecipients("GM") }
@@ -799,12 +914,704 @@ export class WeatherCommandSystem {
    * @returns {Promise<Object>} Command result
    */
   async _handleForecastCommand(args) {
-    const forecast = await this.api.generateForecast();
+    const action = args[1]?.toLowerCase();
+
+    if (action === "discard" || action === "clear") {
+      const success = await this.api.discardForecast();
+      return success
+        ? this._createSuccessResponse(
+            "Committed forecast discarded. Weather will roll freely until a new forecast is made.",
+            { whisper: [game.user.id] }
+          )
+        : this._createErrorResponse("Failed to discard forecast.", {
+            whisper: [game.user.id],
+          });
+    }
+
+    const forecast = await this.api.generateForecast({
+      regenerate: action === "regenerate",
+    });
     return this._createSuccessResponse(forecast, {
       whisper: ChatMessage.getWhisperRecipients("GM"),
     });
   }
 
+  /**
+   * Handle the front command
+   * Without a name, lists the campaign's fronts and those on their way.
+   * @param {string[]} args - Command arguments
+   * @returns {Promise<Object>} Command result
+   */
+  async _handleFrontCommand(args) {
+    const settingsData = this.api.settingsData;
+    const whisper = ChatMessage.getWhisperRecipients("GM");
+
+    if (args.length < 2) {
+      const available = WeatherFronts.getAll(settingsData)
+        .map((front) => `<li>${front.name}${front.description ? `: ${front.description}` : ""}</li>`)
+        .join("");
+      const active = this.api
+        .getFronts()
+        .map(
+          (front) =>
+            `<li>${front.name} (${front.phase}, ${TimeUtils.formatTimestamp(front.start)} to ${TimeUtils.formatTimestamp(front.end)})</li>`
+        )
+        .join("");
+
+      const currentCampaign = Settings.getSetting("campaign");
+      const campaignClass = currentCampaign ? `campaign-${currentCampaign}` : '';
+      return this._createSuccessResponse(
+        `<div class="weather-report ${campaignClass}">
+          <h3>WEATHER FRONTS</h3>
+          <h4>Current Fronts</h4>
+          <ul>${active || "<li>None</li>"}</ul>
+          <h4>Available Fronts</h4>
+          <ul>${available || "<li>This campaign setting defines no fronts.</li>"}</ul>
+        </div>`,
+        { whisper }
+      );
+    }
+
+    if (args[1].toLowerCase() === "clear") {
+      const success = await this.api.clearFronts();
+      return success
+        ? this._createSuccessResponse("Weather fronts cleared.", { whisper })
+        : this._createErrorResponse("Failed to clear weather fronts.", { whisper });
+    }
+
+    // A trailing "now" brings the front in without an approach
+    const immediate = args[args.length - 1].toLowerCase() === "now";
+    const name = args.slice(1, immediate ? -1 : undefined).join(" ");
+    const front = await this.api.spawnFront(name, { immediate });
+    if (!front) {
+      return this._createErrorResponse(`Failed to spawn weather front ${name}.`, {
+        whisper,
+      });
+    }
+
+    return this._createSuccessResponse(
+      `${front.name} ${immediate ? "arrives" : "approaches, arriving"} ${TimeUtils.formatTimestamp(front.start)} and clears ${TimeUtils.formatTimestamp(front.end)}. Use /weather update to apply changes.`,
+      { whisper }
+    );
+  }
+
+  /**
+   * Handle the climate command
+   * @param {string[]} args - Command arguments
+   * @returns {Promise<Object>} Command result
+   */
+  async _handleClimateCommand(args) {
+    const settingsData = this.api.settingsData;
+    const whisper = ChatMessage.getWhisperRecipients("GM");
+    if (!settingsData?.climate) {
+      return this._createErrorResponse(
+        "This campaign setting defines no climate anomalies or cycles.",
+        { whisper }
+      );
+    }
+
+    const action = args[1]?.toLowerCase();
+    const last = args[args.length - 1];
+    const year = args.length > 2 && /^-?\d+$/.test(last) ? Number(last) : undefined;
+
+    if (action === "set" || action === "pin") {
+      const pin = action === "pin";
+      const name = args.slice(2, year === undefined || pin ? undefined : -1).join(" ");
+      const success = await this.api.setClimateAnomaly(name, { year, pin });
+      if (!success) {
+        return this._createErrorResponse(`Failed to set climate anomaly ${name}.`, {
+          whisper,
+        });
+      }
+      const label =
+        WeatherClimate.get(WeatherClimate.resolve(name, settingsData), settingsData)?.name ||
+        "a normal year";
+      return this._createSuccessResponse(
+        pin
+          ? `Climate pinned to ${label} for every year. Use /weather update to apply changes.`
+          : `Climate for ${year ?? "this year"} set to ${label}. Use /weather update to apply changes.`,
+        { whisper }
+      );
+    }
+
+    if (action === "unpin" || action === "clear") {
+      const pin = action === "unpin";
+      const success = await this.api.clearClimateAnomaly({ year, pin });
+      return success
+        ? this._createSuccessResponse(
+            pin
+              ? "Climate unpinned."
+              : `Climate for ${year ?? "this year"} returned to its rolled anomaly.`,
+            { whisper }
+          )
+        : this._createErrorResponse("Failed to clear climate anomaly.", { whisper });
+    }
+
+    const climate = this.api.getClimate({ year: args[1] });
+    const formatOffset = (modifiers) =>
+      Object.entries(modifiers || {})
+        .filter(([, value]) => Math.abs(value) >= 0.01)
+        .map(
+          ([key, value]) =>
+            `${WeatherDimensions.get(key, settingsData).name} ${value > 0 ? "+" : ""}${Math.round(value * 100) / 100}`
+        )
+        .join(", ") || "No change";
+    const sources = {
+      pinned: "pinned by the GM",
+      override: "set by the GM",
+      rolled: "rolled for the year",
+    };
+
+    const seasons = climate.seasons
+      .map((season) => `<li>${season.name}: ${formatOffset(season.modifiers)}</li>`)
+      .join("");
+    const cycles = climate.cycles
+      .map(
+        (cycle) =>
+          `<li>${cycle.name}: ${Math.round(cycle.strength * 100)}% (${formatOffset(cycle.modifiers)})</li>`
+      )
+      .join("");
+    const available = WeatherClimate.getAll(settingsData)
+      .map((anomaly) => anomaly.name)
+      .join(", ");
+
+    const currentCampaign = Settings.getSetting("campaign");
+    const campaignClass = currentCampaign ? `campaign-${currentCampaign}` : '';
+    return this._createSuccessResponse(
+      `<div class="weather-report ${campaignClass}">
+        <h3>CLIMATE ${climate.year}</h3>
+        <p><strong>${climate.anomaly?.name || "Normal Year"}</strong>${
+          climate.anomaly?.description ? ` ${climate.anomaly.description}` : ""
+        } <em>(${sources[climate.source]})</em></p>
+        <h4>Anomaly by Season</h4>
+        <ul>${seasons}</ul>
+        ${cycles ? `<h4>Climate Cycles (mid-year)</h4><ul>${cycles}</ul>` : ""}
+        ${climate.current ? `<h4>Offset Now</h4><p>${formatOffset(climate.current)}</p>` : ""}
+        ${available ? `<p><em>Anomalies: ${available}</em></p>` : ""}
+      </div>`,
+      { whisper }
+    );
+  }
+
+  /**
+   * Handle the catchup command
+   * @param {string[]} args - Command arguments
+   * @returns {Promise<Object>} Command result
+   */
+  async _handleCatchUpCommand(args) {
+    const catchUp = this.api.getCatchUpHistory();
+    if (!catchUp?.steps?.length) {
+      return this._createErrorResponse(
+        "No time skip has been simulated for this scene.",
+        { whisper: [game.user.id] }
+      );
+    }
+
+    const currentCampaign = Settings.getSetting("campaign");
+    const campaignClass = currentCampaign ? `campaign-${currentCampaign}` : '';
+    const steps = catchUp.steps
+      .map(
+        (step) =>
+          `<li>${TimeUtils.formatTimestamp(step.time)} (${step.timePeriod}): ${WeatherDimensions.formatInline(step, this.api.settingsData)}</li>`
+      )
+      .join("");
+
+    return this._createSuccessResponse(
+      `<div class="weather-report ${campaignClass}">
+        <h3>WEATHER DURING TIME SKIP</h3>
+        <p>${TimeUtils.formatTimestamp(catchUp.from)} to ${TimeUtils.formatTimestamp(catchUp.to)}: ${catchUp.missed} missed updates${catchUp.skipped ? `, earliest ${catchUp.skipped} skipped` : ""}</p>
+        <ul>${steps}</ul>
+      </div>`,
+      { whisper: ChatMessage.getWhisperRecipients("GM") }
+    );
+  }
+
+  /**
+   * Handle the history command
+   * @param {string[]} args - Command arguments
+   * @returns {Promise<Object>} Command result
+   */
+  async _handleHistoryCommand(args) {
+    const settingsData = this.api.settingsData;
+    const whisper = ChatMessage.getWhisperRecipients("GM");
+
+    if (args[1]?.toLowerCase() === "clear") {
+      const success = await this.api.clearWeatherHistory();
+      return success
+        ? this._createSuccessResponse("Weather history cleared.", { whisper })
+        : this._createErrorResponse("Failed to clear weather history.", { whisper });
+    }
+
+    const count = args[1] === undefined ? 10 : parseInt(args[1], 10);
+    if (!(count > 0)) {
+      return this._createErrorResponse(
+        "Usage: /weather history [number of entries|clear]",
+        { whisper }
+      );
+    }
+
+    const history = this.api.getWeatherHistory({ limit: count });
+    if (!history.length) {
+      return this._createErrorResponse(
+        "No weather updates have been logged for this scene.",
+        { whisper }
+      );
+    }
+
+    const entries = history
+      .map((entry) => {
+        const terrain = settingsData?.terrains?.[entry.terrain]?.name || entry.terrain;
+        const season = settingsData?.seasons?.[entry.season]?.name || entry.season;
+        const type = WeatherPrecipitation.get(entry.precipitationType, settingsData);
+        const events = [...(entry.events || []), ...(entry.fronts || [])]
+          .map((event) => event.name)
+          .join(", ");
+        const source =
+          entry.source === "manual"
+            ? ", set by hand"
+            : entry.source === "preset"
+              ? `, preset ${entry.preset}`
+              : "";
+        return `<li><strong>${entry.date}</strong> (${terrain}, ${season}${source}): ${WeatherDimensions.formatInline(entry.values, settingsData)}${type ? `, ${type.name}` : ""}${events ? ` — ${events}` : ""}</li>`;
+      })
+      .join("");
+
+    const currentCampaign = Settings.getSetting("campaign");
+    const campaignClass = currentCampaign ? `campaign-${currentCampaign}` : '';
+    return this._createSuccessResponse(
+      `<div class="weather-report ${campaignClass}">
+        <h3>WEATHER HISTORY</h3>
+        <p>Last ${history.length} logged update${history.length === 1 ? "" : "s"}, newest first</p>
+        <ul>${entries}</ul>
+      </div>`,
+      { whisper }
+    );
+  }
+
+  /**
+   * Handle the preview command
+   * Options are given as name=value pairs, e.g.
+   * `/weather preview terrain=Sea of Silt season=High Sun samples=200`.
+   * @param {string[]} args - Command arguments
+   * @returns {Promise<Object>} Command result
+   */
+  async _handlePreviewCommand(args) {
+    const settingsData = this.api.settingsData;
+    const whisper = ChatMessage.getWhisperRecipients("GM");
+    const usage =
+      "Usage: /weather preview [terrain=name] [season=name] [random=0-10] [samples=n]";
+
+    const pairs = this._parseNamedOptions(args.slice(1));
+    if (!pairs) {
+      return this._createErrorResponse(usage, { whisper });
+    }
+
+    const options = {};
+    for (const [name, value] of pairs) {
+      switch (name) {
+        case "terrain":
+          options.terrain = this._resolveKey(value, settingsData?.terrains);
+          if (!options.terrain) {
+            return this._createErrorResponse(`Invalid terrain: ${value}. Use /weather help for available options.`, { whisper });
+          }
+          break;
+        case "season":
+          options.season = this._resolveKey(value, settingsData?.seasons);
+          if (!options.season) {
+            return this._createErrorResponse(`Invalid season: ${value}. Use /weather help for available options.`, { whisper });
+          }
+          break;
+        case "random":
+        case "variability":
+          options.variability = parseFloat(value);
+          if (isNaN(options.variability) || options.variability < 0 || options.variability > 10) {
+            return this._createErrorResponse("Variability must be between 0 and 10.", { whisper });
+          }
+          break;
+        case "samples":
+          options.samples = parseInt(value, 10);
+          if (isNaN(options.samples) || options.samples < 0) {
+            return this._createErrorResponse("Samples must be 0 or more.", { whisper });
+          }
+          break;
+        default:
+          return this._createErrorResponse(usage, { whisper });
+      }
+    }
+
+    const preview = await this.api.previewUpdate(options);
+    if (!preview) {
+      return this._createErrorResponse("Failed to preview the weather update.", {
+        whisper,
+      });
+    }
+
+    return this._createSuccessResponse(
+      this.api.ui.renderPreviewReport(preview) +
+        this.api.ui.renderCalculationReport(preview.next.details),
+      { whisper }
+    );
+  }
+
+  /**
+   * Handle the climatereport command
+   * Options are given as name=value pairs like the preview command's;
+   * `terrain=all` covers every terrain.
+   * @param {string[]} args - Command arguments
+   * @returns {Promise<Object>} Command result
+   */
+  async _handleClimateReportCommand(args) {
+    const settingsData = this.api.settingsData;
+    const whisper = ChatMessage.getWhisperRecipients("GM");
+    const usage =
+      "Usage: /weather climatereport [terrain=name|all] [season=name] [samples=n] [output=chat|journal|json]";
+
+    const pairs = this._parseNamedOptions(args.slice(1));
+    if (!pairs) {
+      return this._createErrorResponse(usage, { whisper });
+    }
+
+    const currentTerrain =
+      SceneManager.getWeatherState()?.terrain || Settings.getSetting("terrain");
+    const options = { terrains: [currentTerrain], samples: 200 };
+    let output = "chat";
+    for (const [name, value] of pairs) {
+      switch (name) {
+        case "terrain": {
+          if (value.toLowerCase() === "all") {
+            delete options.terrains;
+            break;
+          }
+          const terrain = this._resolveKey(value, settingsData?.terrains);
+          if (!terrain) {
+            return this._createErrorResponse(`Invalid terrain: ${value}. Use /weather help for available options.`, { whisper });
+          }
+          options.terrains = [terrain];
+          break;
+        }
+        case "season": {
+          const season = this._resolveKey(value, settingsData?.seasons);
+          if (!season) {
+            return this._createErrorResponse(`Invalid season: ${value}. Use /weather help for available options.`, { whisper });
+          }
+          options.seasons = [season];
+          break;
+        }
+        case "samples":
+          options.samples = parseInt(value, 10);
+          if (!(options.samples > 0 && options.samples <= WeatherClimateReport.MAX_CLIENT_SAMPLES)) {
+            return this._createErrorResponse(
+              `Samples must be between 1 and ${WeatherClimateReport.MAX_CLIENT_SAMPLES}. Run scripts/generate-climate-report.js in Node for larger reports.`,
+              { whisper }
+            );
+          }
+          break;
+        case "output":
+          output = value.toLowerCase();
+          if (!["chat", "journal", "json"].includes(output)) {
+            return this._createErrorResponse(usage, { whisper });
+          }
+          break;
+        default:
+          return this._createErrorResponse(usage, { whisper });
+      }
+    }
+
+    const report = await this.api.generateClimateReport(options);
+    if (!report) {
+      return this._createErrorResponse("Failed to generate the climate report.", {
+        whisper,
+      });
+    }
+
+    if (output === "journal") {
+      const journal = await this.api.createClimateReportJournal(report);
+      return journal
+        ? this._createSuccessResponse(`Climate report saved to the journal entry ${journal.name}.`, { whisper })
+        : this._createErrorResponse("Failed to save the climate report to a journal entry.", { whisper });
+    }
+    if (output === "json") {
+      return this.api.exportClimateReport(report)
+        ? this._createSuccessResponse("Climate report exported as JSON.", { whisper })
+        : this._createErrorResponse("Failed to export the climate report.", { whisper });
+    }
+
+    return this._createSuccessResponse(
+      WeatherClimateReport.render(report, settingsData),
+      { whisper }
+    );
+  }
+
+  /**
+   * Handle the set command
+   * Values are given as name=value pairs like the preview command's; a
+   * trailing "report" posts the weather report once they are set.
+   * @param {string[]} args - Command arguments
+   * @returns {Promise<Object>} Command result
+   */
+  async _handleSetCommand(args) {
+    const whisper = ChatMessage.getWhisperRecipients("GM");
+    const usage = "Usage: /weather set dimension=value [dimension=value ...] [report]";
+
+    const rest = args.slice(1);
+    const report = rest[rest.length - 1]?.toLowerCase() === "report";
+    if (report) rest.pop();
+
+    const pairs = this._parseNamedOptions(rest);
+    if (!pairs?.length) {
+      return this._createErrorResponse(usage, { whisper });
+    }
+
+    const weatherState = await this.api.setWeather(Object.fromEntries(pairs), { report });
+    if (!weatherState) {
+      return this._createErrorResponse(`Failed to set the weather. ${usage}`, { whisper });
+    }
+
+    return this._createSuccessResponse(
+      `Weather set: ${WeatherDimensions.formatInline(weatherState, this.api.settingsData)}.`,
+      { whisper }
+    );
+  }
+
+  /**
+   * Handle the preset command
+   * Preset names may contain spaces; a trailing "report" after apply posts
+   * the weather report once the preset is applied.
+   * @param {string[]} args - Command arguments
+   * @returns {Promise<Object>} Command result
+   */
+  async _handlePresetCommand(args) {
+    const settingsData = this.api.settingsData;
+    const whisper = ChatMessage.getWhisperRecipients("GM");
+    const usage = "Usage: /weather preset [list|save|apply|delete] [name]";
+    const action = args[1]?.toLowerCase() || "list";
+    const rest = args.slice(2);
+
+    switch (action) {
+      case "list": {
+        const presets = this.api.getPresets();
+        if (!presets.length) {
+          return this._createSuccessResponse(
+            "No weather presets yet. Use /weather preset save [name] to save the scene's weather.",
+            { whisper }
+          );
+        }
+
+        const items = presets
+          .map((preset) => {
+            const terrain = settingsData?.terrains?.[preset.terrain]?.name;
+            const events = WeatherEvents.formatNames(preset.events, settingsData);
+            return `<li><strong>${preset.name}</strong> (${
+              preset.source === "campaign" ? "campaign" : "saved"
+            }${terrain ? `, ${terrain}` : ""}): ${WeatherDimensions.formatInline(
+              preset.values,
+              settingsData
+            )}${events ? ` — ${events}` : ""}${
+              preset.locks.length
+                ? `; locks ${preset.locks
+                    .map((lock) => WeatherDimensions.get(lock.dimension, settingsData).name)
+                    .join(", ")}`
+                : ""
+            }</li>`;
+          })
+          .join("");
+
+        const currentCampaign = Settings.getSetting("campaign");
+        const campaignClass = currentCampaign ? `campaign-${currentCampaign}` : '';
+        return this._createSuccessResponse(
+          `<div class="weather-report ${campaignClass}">
+            <h3>WEATHER PRESETS</h3>
+            <ul>${items}</ul>
+          </div>`,
+          { whisper }
+        );
+      }
+      case "save": {
+        const name = rest.join(" ").trim();
+        if (!name) {
+          return this._createErrorResponse(usage, { whisper });
+        }
+
+        const preset = await this.api.savePreset(name);
+        return preset
+          ? this._createSuccessResponse(`Saved the scene's weather as preset ${preset.name}.`, { whisper })
+          : this._createErrorResponse(`Failed to save preset ${name}.`, { whisper });
+      }
+      case "apply": {
+        const report = rest[rest.length - 1]?.toLowerCase() === "report";
+        if (report) rest.pop();
+        const name = rest.join(" ").trim();
+        if (!name) {
+          return this._createErrorResponse(usage, { whisper });
+        }
+
+        const weatherState = await this.api.applyPreset(name, { report });
+        if (!weatherState) {
+          return this._createErrorResponse(`Failed to apply preset ${name}.`, { whisper });
+        }
+        const preset = WeatherPresets.get(WeatherPresets.resolve(name, settingsData), settingsData);
+        return this._createSuccessResponse(
+          `Applied preset ${preset?.name ?? name}: ${WeatherDimensions.formatInline(
+            weatherState,
+            settingsData
+          )}.`,
+          { whisper }
+        );
+      }
+      case "delete": {
+        const name = rest.join(" ").trim();
+        if (!name) {
+          return this._createErrorResponse(usage, { whisper });
+        }
+
+        const success = await this.api.deletePreset(name);
+        return success
+          ? this._createSuccessResponse(`Deleted preset ${name}.`, { whisper })
+          : this._createErrorResponse(`Failed to delete preset ${name}.`, { whisper });
+      }
+      default:
+        return this._createErrorResponse(usage, { whisper });
+    }
+  }
+
+  /**
+   * Handle the lock command
+   * Without a dimension, lists the scene's locks. A bare value after the
+   * dimension fixes it there; min=, max= and hours= are given as name=value
+   * pairs like the preview command's.
+   * @param {string[]} args - Command arguments
+   * @returns {Promise<Object>} Command result
+   */
+  async _handleLockCommand(args) {
+    const whisper = ChatMessage.getWhisperRecipients("GM");
+    const usage =
+      "Usage: /weather lock [dimension] [value|min=n max=n] [hours=n]";
+
+    if (args.length < 2) {
+      const locks = this.api.getLocks();
+      if (!locks.length) {
+        return this._createSuccessResponse(
+          "No weather dimensions are locked in this scene.",
+          { whisper }
+        );
+      }
+
+      const currentCampaign = Settings.getSetting("campaign");
+      const campaignClass = currentCampaign ? `campaign-${currentCampaign}` : '';
+      return this._createSuccessResponse(
+        `<div class="weather-report ${campaignClass}">
+          <h3>LOCKED DIMENSIONS</h3>
+          <ul>${locks.map((lock) => `<li>${lock.description}</li>`).join("")}</ul>
+        </div>`,
+        { whisper }
+      );
+    }
+
+    const rest = args.slice(2);
+    const options = {};
+    if (rest.length && !rest[0].includes("=")) {
+      options.value = rest.shift();
+    }
+
+    const pairs = this._parseNamedOptions(rest);
+    if (!pairs) {
+      return this._createErrorResponse(usage, { whisper });
+    }
+    for (const [name, value] of pairs) {
+      switch (name) {
+        case "value":
+        case "min":
+        case "max":
+          options[name] = value;
+          break;
+        case "hours":
+          options.hours = parseFloat(value);
+          break;
+        default:
+          return this._createErrorResponse(usage, { whisper });
+      }
+    }
+
+    const lock = await this.api.setLock(args[1], options);
+    if (!lock) {
+      return this._createErrorResponse(`Failed to lock ${args[1]}. ${usage}`, {
+        whisper,
+      });
+    }
+
+    return this._createSuccessResponse(
+      `Locked: ${WeatherLocks.describe(lock, this.api.settingsData)}.`,
+      { whisper }
+    );
+  }
+
+  /**
+   * Handle the unlock command
+   * @param {string[]} args - Command arguments
+   * @returns {Promise<Object>} Command result
+   */
+  async _handleUnlockCommand(args) {
+    const settingsData = this.api.settingsData;
+    const whisper = ChatMessage.getWhisperRecipients("GM");
+    const dimension = args[1]?.toLowerCase() || "all";
+    const key = dimension === "all" ? null : WeatherDimensions.resolve(dimension, settingsData);
+
+    if (dimension !== "all" && !key) {
+      return this._createErrorResponse(
+        `Unknown weather dimension: ${args[1]}. Usage: /weather unlock [dimension|all]`,
+        { whisper }
+      );
+    }
+
+    const success = await this.api.clearLock(key ?? "all");
+    if (!success) {
+      return this._createErrorResponse("Failed to unlock weather dimensions.", { whisper });
+    }
+
+    return this._createSuccessResponse(
+      key
+        ? `${WeatherDimensions.get(key, settingsData).name} unlocked.`
+        : "All weather dimensions unlocked.",
+      { whisper }
+    );
+  }
+
+  /**
+   * Parse name=value options, whose values may contain spaces
+   * @private
+   * @param {string[]} args - Arguments holding the options
+   * @returns {Array<string[]>|null} Lower-cased names with their values, or null if anything else was given
+   */
+  _parseNamedOptions(args) {
+    const pattern = /(\w+)\s*=\s*(.*?)(?=\s+\w+\s*=|$)/g;
+    const input = args.join(" ").trim();
+    if (input.replace(pattern, "").trim()) return null;
+
+    return [...input.matchAll(pattern)].map(([, name, value]) => [
+      name.toLowerCase(),
+      value.trim(),
+    ]);
+  }
+
+  /**
+   * Resolve a terrain or season from its key or name
+   * @private
+   * @param {string} input - Name to resolve
+   * @param {Object} collection - Terrains or seasons keyed by key
+   * @returns {string|null} Key, or null if unknown
+   */
+  _resolveKey(input, collection) {
+    const normalize = (value) =>
+      String(value ?? "").toLowerCase().replace(/[^a-z0-9]/g, "");
+    const wanted = normalize(input);
+    if (!wanted) return null;
+
+    const match = Object.entries(collection || {}).find(
+      ([key, entry]) => normalize(key) === wanted || normalize(entry?.name) === wanted
+    );
+    return match?.[0] ?? null;
+  }
+
   /**
    * Handle the calc command
    * @param {string[]} args - Command arguments
@@ -819,66 +1626,7 @@ export class WeatherCommandSystem {
       );
     }
 
-    // Get current campaign ID for CSS class
-    const currentCampaign = Settings.getSetting("campaign");
-    const campaignClass = currentCampaign ? `campaign-${currentCampaign}` : '';
-    
-    const details = `<div class="weather-report ${campaignClass}">
-      <h3>WEATHER CALCULATION DETAILS</h3>
-      <h4>Base Values (${calc.terrain.name})</h4>
-      <ul>
-        <li>Temperature: ${calc.terrain.baseTemp}</li>
-        <li>Wind: ${calc.terrain.baseWind}</li>
-        <li>Precipitation: ${calc.terrain.basePrecip}</li>
-        <li>Humidity: ${calc.terrain.baseHumid}</li>
-      </ul>
-      ${
-        calc.previous
-          ? `<h4>Previous Values</h4>
-      <ul>
-        <li>Temperature: ${calc.previous.temp}</li>
-        <li>Wind: ${calc.previous.wind}</li>
-        <li>Precipitation: ${calc.previous.precip}</li>
-        <li>Humidity: ${calc.previous.humid}</li>
-      </ul>`
-          : ""
-      }
-      <h4>Random Factors (Variability: ${calc.variability})</h4>
-      <ul>
-        <li>Temperature: ${calc.randomFactors.temp.toFixed(2)}</li>
-        <li>Wind: ${calc.randomFactors.wind.toFixed(2)}</li>
-        <li>Precipitation: ${calc.randomFactors.precip.toFixed(2)}</li>
-        <li>Humidity: ${calc.randomFactors.humid.toFixed(2)}</li>
-      </ul>
-      <h4>Time Modifiers (${calc.timePeriod})</h4>
-      <ul>
-        <li>Temperature: ${calc.timeModifiers.temperature || 0}</li>
-        <li>Wind: ${calc.timeModifiers.wind || 0}</li>
-        <li>Precipitation: ${calc.timeModifiers.precipitation || 0}</li>
-        <li>Humidity: ${calc.timeModifiers.humidity || 0}</li>
-      </ul>
-      <h4>Season Modifiers (${calc.season})</h4>
-      <ul>
-        <li>Temperature: ${calc.seasonModifiers.temperature || 0}</li>
-        <li>Wind: ${calc.seasonModifiers.wind || 0}</li>
-        <li>Precipitation: ${calc.seasonModifiers.precipitation || 0}</li>
-        <li>Humidity: ${calc.seasonModifiers.humidity || 0}</li>
-      </ul>
-      <h4>Intermediate Values (After Random)</h4>
-      <ul>
-        <li>Temperature: ${calc.intermediate.temp}</li>
-        <li>Wind: ${calc.intermediate.wind}</li>
-        <li>Precipitation: ${calc.intermediate.precip}</li>
-        <li>Humidity: ${calc.intermediate.humid}</li>
-      </ul>
-      <h4>Final Values (After Modifiers)</h4>
-      <ul>
-        <li>Temperature: ${calc.final.temp}</li>
-        <li>Wind: ${calc.final.wind}</li>
-        <li>Precipitation: ${calc.final.precip}</li>
-        <li>Humidity: ${calc.final.humid}</li>
-      </ul>
-    </div>`;
+    const details = this.api.ui.renderCalculationReport(calc);
 
     return this._createSuccessResponse(details, {
       whisper: ChatMessage.getWhisperRecipients("GM"),
@@ -0,0 +1,172 @@
+#!/usr/bin/env node
+/**
+ * Build Script: Generate a climate report for a campaign setting
+ *
+ * Rolls the weather of every terrain, season and time period of a campaign
+ * setting many times over, prints how it turns out and, with --out, writes
+ * the full report as JSON.
+ *
+ * Usage:
+ *   node scripts/generate-climate-report.js <campaign id or file> [--terrain key]
+ *     [--season key] [--samples n] [--variability n] [--seed value] [--out file]
+ */
+const fs = require('fs');
+const path = require('path');
+const { pathToFileURL } = require('url');
+
+const campaignDir = path.resolve(__dirname, '../campaign_settings');
+const usage =
+  'Usage: node scripts/generate-climate-report.js <campaign id or file> [--terrain key] [--season key] [--samples n] [--variability n] [--seed value] [--out file]';
+
+function parseArgs(argv) {
+  const options = { terrains: [], seasons: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const value = () => {
+      if (i + 1 >= argv.length) fail(`Missing value for ${arg}`);
+      return argv[++i];
+    };
+    switch (arg) {
+      case '--terrain':
+        options.terrains.push(value());
+        break;
+      case '--season':
+        options.seasons.push(value());
+        break;
+      case '--samples':
+        options.samples = Number(value());
+        break;
+      case '--variability':
+        options.variability = Number(value());
+        break;
+      case '--seed':
+        options.seed = value();
+        break;
+      case '--out':
+        options.out = value();
+        break;
+      default:
+        if (arg.startsWith('--') || options.campaign) fail(`Unknown argument ${arg}`);
+        options.campaign = arg;
+    }
+  }
+  if (!options.campaign) fail(usage);
+  return options;
+}
+
+function fail(message) {
+  console.error(message);
+  process.exit(1);
+}
+
+function loadCampaign(campaign) {
+  const filePath = fs.existsSync(campaign)
+    ? campaign
+    : path.join(campaignDir, `${campaign}.json`);
+  let raw;
+  try {
+    raw = fs.readFileSync(filePath, 'utf8');
+  } catch (err) {
+    fail(`Failed to read campaign setting ${campaign}: ${err.message}`);
+  }
+  try {
+    return JSON.parse(raw);
+  } catch (err) {
+    fail(`Invalid JSON in ${filePath}: ${err.message}`);
+  }
+}
+
+function formatSummary(report, WeatherClimateReport) {
+  const percent = (value) => `${Math.round(value * 100)}%`;
+  const shares = (entries) =>
+    Object.entries(entries)
+      .sort((a, b) => b[1] - a[1])
+      .map(([key, value]) => `${key} ${percent(value)}`)
+      .join(', ');
+  const lines = [
+    `Climate report: ${report.campaign.name || report.campaign.id} (${report.samples} rolls per season and time period, variability ${report.variability}, seed ${report.seed})`,
+  ];
+
+  for (const terrain of Object.values(report.terrains)) {
+    lines.push('', terrain.name);
+    for (const season of Object.values(terrain.seasons)) {
+      lines.push(`  ${season.name}`);
+      for (const [name, summary] of Object.entries(season.periods)) {
+        const dimensions = Object.keys(summary.dimensions);
+        const values = dimensions
+          .filter((key) => summary.dimensions[key])
+          .map((key) => {
+            const { mean, percentiles } = summary.dimensions[key];
+            return `${key} ${mean} (${percentiles[5]}..${percentiles[95]})`;
+          })
+          .join(', ');
+        const saturated = dimensions
+          .flatMap((key) =>
+            ['min', 'max']
+              .filter(
+                (limit) =>
+                  summary.dimensions[key]?.saturation[limit] >= WeatherClimateReport.SATURATION_WARNING
+              )
+              .map((limit) => `${key} at ${limit} ${percent(summary.dimensions[key].saturation[limit])}`)
+          )
+          .join(', ');
+        lines.push(`    ${name}: ${values}`);
+        if (Object.keys(summary.rules).length) lines.push(`      rules: ${shares(summary.rules)}`);
+        if (saturated) lines.push(`      saturated: ${saturated}`);
+      }
+    }
+  }
+  return lines.join('\n');
+}
+
+async function run() {
+  const options = parseArgs(process.argv.slice(2));
+  const settingsData = loadCampaign(options.campaign);
+
+  for (const [label, keys, known] of [
+    ['terrain', options.terrains, settingsData.terrains],
+    ['season', options.seasons, settingsData.seasons],
+  ]) {
+    const unknown = keys.filter((key) => !Object.hasOwn(known || {}, key));
+    if (unknown.length) {
+      fail(`Unknown ${label} ${unknown.join(', ')}. Available: ${Object.keys(known || {}).join(', ')}`);
+    }
+  }
+  if (options.samples !== undefined && !(options.samples > 0)) {
+    fail('--samples must be a positive number');
+  }
+  if (
+    options.variability !== undefined &&
+    !(options.variability >= 0 && options.variability <= 10)
+  ) {
+    fail('--variability must be between 0 and 10');
+  }
+
+  const { WeatherClimateReport } = await import(
+    pathToFileURL(path.join(__dirname, 'weather-climate-report.js')).href
+  );
+  const report = WeatherClimateReport.generate(settingsData, {
+    terrains: options.terrains.length ? options.terrains : undefined,
+    seasons: options.seasons.length ? options.seasons : undefined,
+    samples: options.samples,
+    variability: options.variability,
+    seed: options.seed,
+  });
+
+  console.log(formatSummary(report, WeatherClimateReport));
+
+  if (options.out) {
+    try {
+      fs.writeFileSync(options.out, JSON.stringify(report, null, 2) + '\n', 'utf8');
+      console.log(`\nWrote ${options.out}`);
+    } catch (err) {
+      fail(`Failed to write ${options.out}: ${err.message}`);
+    }
+  }
+}
+
+if (require.main === module) {
+  run().catch((err) => fail(`Failed to generate the climate report: ${err.message}`));
+}
+// Export for testing if needed
+module.exports = { run };
@@ -10,6 +10,7 @@ import { WeatherCommandSystem } from "./command-system.js";
 import { SceneManager } from "./scene-manager.js";
 import { SceneConfiguration } from "./scene-config.js";
 import { TimeUtils } from "./time-utils.js";
+import { WeatherUnits } from "./weather-units.js";
 
 // Module constants
 const MODULE_ID = "dimensional-weather";
@@ -127,20 +128,23 @@ async function checkTimeBasedUpdate() {
     const updateFrequency = Settings.getSetting("updateFrequency");
     const lastUpdate = weatherState.lastUpdate || 0;
     const currentTime = TimeUtils.getCurrentTimestamp();
-    const hoursSinceLastUpdate = (currentTime - lastUpdate) / (1000 * 60 * 60);
+    const hoursSinceLastUpdate = (currentTime - lastUpdate) / TimeUtils.getHourLength();
+    const missedUpdates = TimeUtils.getMissedUpdates(lastUpdate, updateFrequency, currentTime);
 
     if (Settings.getSetting("debugTimePeriod")) {
       DebugLogger.log("weather", "Time check", {
-        lastUpdate: new Date(lastUpdate).toLocaleString(),
-        currentTime: new Date(currentTime).toLocaleString(),
+        lastUpdate: TimeUtils.formatTimestamp(lastUpdate),
+        currentTime: TimeUtils.formatTimestamp(currentTime),
         hoursSinceLastUpdate,
         updateFrequency,
-        needsUpdate: hoursSinceLastUpdate >= updateFrequency,
+        missedUpdates,
       });
     }
 
-    if (hoursSinceLastUpdate >= updateFrequency) {
-      DebugLogger.log("weather", `Time-based weather update triggered (${hoursSinceLastUpdate.toFixed(1)} hours since last update)`);
+    // The engine simulates every missed interval, so one update call covers
+    // long skips; a calendar rewound past the last update also updates
+    if (TimeUtils.isUpdateNeeded(lastUpdate, updateFrequency)) {
+      DebugLogger.log("weather", `Time-based weather update triggered (${hoursSinceLastUpdate.toFixed(1)} hours, ${missedUpdates} intervals since last update)`);
       await game.dimWeather.updateWeather();
       await game.dimWeather.displayWeather();
     }
@@ -193,6 +197,11 @@ Hooks.on("chatMessage", (message, options, userId) => {
   return true;
 });
 
+// Show weather measurements in each user's own unit system
+Hooks.on("renderChatMessageHTML", (message, html) => {
+  WeatherUnits.localize(html);
+});
+
 /**
  * Handle campaign setting changes
  * @param {string} value - New campaign setting
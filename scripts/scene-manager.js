@@ -4,6 +4,7 @@
  */
 
 import { ErrorHandler } from "./utils.js";
+import { TimeUtils } from "./time-utils.js";
 
 export class SceneManager {
   /**
@@ -14,17 +15,80 @@ export class SceneManager {
 
   /**
    * Get current weather state from viewed scene
+   * While an update is still blending in, dimension values are interpolated
+   * between the previous and the new values at the current game time, and the
+   * new values are available as `target`. Update stamps saved in Seasons &
+   * Stars world seconds by earlier versions are read as milliseconds.
    * @param {Scene} [scene] - Scene to get state from (uses viewed scene if not specified)
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.raw] - Return the stored state without interpolation
    * @returns {Object|null} Current weather state or null if not available
    */
-  static getWeatherState(scene = null) {
+  static getWeatherState(scene = null, options = {}) {
     // If no scene is provided and no scene is being viewed, return null
     if (!scene && !game.scenes?.viewed) return null;
 
     const currentScene = scene || game.scenes.viewed;
     if (!currentScene?.id) return null;
 
-    return currentScene.getFlag(this.MODULE_ID, "weatherState") || null;
+    const stored = currentScene.getFlag(this.MODULE_ID, "weatherState") || null;
+    if (!stored) return null;
+
+    const now = TimeUtils.getCurrentTimestamp();
+    const state = this._migrateLastUpdate(stored, now);
+    if (options.raw) return state;
+
+    return this.interpolate(state, now);
+  }
+
+  /**
+   * Convert an update stamp saved in world seconds into milliseconds
+   * Earlier versions stamped states with Seasons & Stars world time in
+   * seconds; read as milliseconds, such a stamp looks ages old and the next
+   * update would catch up on, and wear the ground down over, that whole gap.
+   * @private
+   * @param {Object} state - Stored weather state
+   * @param {number} now - Current timestamp in milliseconds
+   * @returns {Object} Weather state with its stamp in milliseconds
+   */
+  static _migrateLastUpdate(state, now) {
+    const { lastUpdate } = state;
+    if (!(lastUpdate > 0)) return state;
+
+    const legacy = lastUpdate * 1000 <= now && lastUpdate < now / 100;
+    return legacy ? { ...state, lastUpdate: lastUpdate * 1000 } : state;
+  }
+
+  /**
+   * Interpolate a weather state's transition at a point in time
+   * @param {Object} state - Stored weather state
+   * @param {number} time - Timestamp
+   * @returns {Object} Weather state with interpolated dimension values
+   */
+  static interpolate(state, time) {
+    const transition = state?.transition;
+    if (!transition?.from || !(transition.duration > 0)) return state;
+
+    const progress = Math.max(
+      0,
+      Math.min(1, (time - transition.start) / transition.duration)
+    );
+    if (progress >= 1) return state;
+
+    const current = {};
+    const target = {};
+    for (const [key, from] of Object.entries(transition.from)) {
+      if (typeof state[key] !== "number" || typeof from !== "number") continue;
+      target[key] = state[key];
+      current[key] = Math.round((from + (state[key] - from) * progress) * 10) / 10;
+    }
+
+    return {
+      ...state,
+      ...current,
+      target,
+      transition: { ...transition, progress: Math.round(progress * 100) / 100 },
+    };
   }
 
   /**
@@ -41,14 +105,15 @@ export class SceneManager {
         return false;
       }
 
-      // Get current state
-      const currentState = this.getWeatherState(currentScene) || {};
+      // Get the stored state; interpolated values must not overwrite targets
+      const currentState =
+        this.getWeatherState(currentScene, { raw: true }) || {};
 
-      // Create new state
+      // Create new state, stamped with game time unless the update carries its own
       const newState = {
         ...currentState,
         ...updates,
-        lastUpdate: Date.now(),
+        lastUpdate: updates.lastUpdate ?? TimeUtils.getCurrentTimestamp(),
       };
 
       // Update scene flag
@@ -92,6 +157,68 @@ export class SceneManager {
     }
   }
 
+  /**
+   * Get the weather history logged for a scene
+   * @param {Scene} [scene] - Scene to read (uses viewed scene if not specified)
+   * @returns {Object[]} History entries, newest first
+   */
+  static getWeatherHistory(scene = null) {
+    const currentScene = scene || game.scenes?.viewed;
+    if (!currentScene?.id) return [];
+
+    const history = currentScene.getFlag(this.MODULE_ID, "weatherHistory");
+    return Array.isArray(history) ? history : [];
+  }
+
+  /**
+   * Add an entry to a scene's weather history
+   * The oldest entries are dropped once the history holds `limit` entries.
+   * @param {Object} entry - History entry
+   * @param {number} limit - Most entries to keep
+   * @param {Scene} [scene] - Scene to update (uses viewed scene if not specified)
+   * @returns {Promise<boolean>} Success status
+   */
+  static async addWeatherHistory(entry, limit, scene = null) {
+    try {
+      const currentScene = scene || game.scenes.viewed;
+      if (!currentScene?.id) {
+        ErrorHandler.logAndNotify("No scene available to update", null, true);
+        return false;
+      }
+
+      const history = [entry, ...this.getWeatherHistory(currentScene)].slice(
+        0,
+        Math.max(1, limit)
+      );
+      await currentScene.setFlag(this.MODULE_ID, "weatherHistory", history);
+      return true;
+    } catch (error) {
+      ErrorHandler.logAndNotify("Failed to update weather history", error);
+      return false;
+    }
+  }
+
+  /**
+   * Clear a scene's weather history
+   * @param {Scene} [scene] - Scene to clear (uses viewed scene if not specified)
+   * @returns {Promise<boolean>} Success status
+   */
+  static async clearWeatherHistory(scene = null) {
+    try {
+      const currentScene = scene || game.scenes.viewed;
+      if (!currentScene?.id) {
+        ErrorHandler.logAndNotify("No scene available to clear", null, true);
+        return false;
+      }
+
+      await currentScene.unsetFlag(this.MODULE_ID, "weatherHistory");
+      return true;
+    } catch (error) {
+      ErrorHandler.logAndNotify("Failed to clear weather history", error);
+      return false;
+    }
+  }
+
   /**
    * Initialize weather state for a new scene
    * @param {Scene} scene - Scene to initialize
@@ -118,7 +245,7 @@ export class SceneManager {
       // Add timestamp to initial state
       const stateWithTimestamp = {
         ...initialState,
-        lastUpdate: Date.now(),
+        lastUpdate: TimeUtils.getCurrentTimestamp(),
       };
 
       // Set scene flag
@@ -75,10 +75,20 @@ export class WeatherDescriptionService {
     } setting. Generate very concise, atmospheric descriptions (2-3 sentences max) focusing on the most critical environmental effects and immediate survival concerns. Be direct and avoid flowery language.
     Current conditions:
     - Terrain: ${conditions.terrain || "Unknown terrain"}
-    - Temperature: ${conditions.tempDesc || "Normal temperature"}
-    - Wind: ${conditions.windDesc || "Normal wind"}
-    - Precipitation: ${conditions.precipDesc || "Clear skies"}
-    - Humidity: ${conditions.humidDesc || "Normal humidity"}
+${(conditions.dimensions || [])
+  .map(
+    (dimension) =>
+      `    - ${dimension.name}${this._formatDetails(dimension)}: ${dimension.description}${
+        dimension.wind ? `, ${dimension.wind}` : ""
+      }`
+  )
+  .join("\n")}
+${(conditions.events || [])
+  .map((event) => `    - Weather Event: ${event.name}${event.description ? ` (${event.description})` : ""}`)
+  .join("\n")}
+${(conditions.ground || [])
+  .map((condition) => `    - Ground: ${condition.name} (${condition.description})`)
+  .join("\n")}
     - Time of Day: ${conditions.timePeriod || "Unknown time"}
     
     Generate a brief, atmospheric description of these conditions. Focus on the most important environmental effects and survival considerations. Keep it concise and avoid repetition.`;
@@ -285,10 +295,25 @@ export class WeatherDescriptionService {
    * @returns {string} Basic description
    */
   _getBasicDescription(conditions) {
-    return `The ${conditions.terrain || "landscape"} unfolds before you.
-    The temperature is ${conditions.tempDesc || "sweltering"}, with
-    ${conditions.windDesc || "scratchy winds"} and
-    ${conditions.precipDesc || "hazy skies"}.
-    The air feels ${conditions.humidDesc || "dry and dusty"}.`;
+    const details = (conditions.dimensions || [])
+      .map(
+        (dimension) =>
+          `${dimension.name}${this._formatDetails(dimension)}: ${dimension.description}${
+            dimension.wind ? `, ${dimension.wind}` : ""
+          }.`
+      )
+      .join(" ");
+    return `The ${conditions.terrain || "landscape"} unfolds before you. ${details}`;
+  }
+
+  /**
+   * Format a dimension's precipitation type and units, e.g. " (Snow, 0.3 in/hr)"
+   * @private
+   * @param {Object} dimension - Dimension with type and units
+   * @returns {string} Details in parentheses, or an empty string if there are none
+   */
+  _formatDetails(dimension) {
+    const details = [dimension.type, dimension.units].filter(Boolean);
+    return details.length ? ` (${details.join(", ")})` : "";
   }
 }
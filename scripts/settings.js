@@ -4,6 +4,17 @@
  */
 
 import { ErrorHandler, Cache, DebugLogger } from "./utils.js";
+import { WeatherDimensions } from "./weather-dimensions.js";
+import { WeatherUnits } from "./weather-units.js";
+import { WeatherEvents } from "./weather-events.js";
+import { WeatherFronts } from "./weather-fronts.js";
+import { WeatherGround } from "./weather-ground.js";
+import { WeatherDiurnal } from "./weather-diurnal.js";
+import { WeatherSeasons } from "./weather-seasons.js";
+import { WeatherClimate } from "./weather-climate.js";
+import { WeatherPrecipitation } from "./weather-precipitation.js";
+import { WeatherPresets } from "./weather-presets.js";
+import { WeatherWind } from "./weather-wind.js";
 
 export class Settings {
   static NAMESPACE = "dimensional-weather";
@@ -143,6 +154,20 @@ export class Settings {
       },
       default: 6,
     },
+    transitionDuration: {
+      name: "Weather Transition (hours)",
+      hint:
+        "How long each update takes to blend from the previous conditions into the new ones. 0, the default, changes the weather at once.",
+      scope: "world",
+      config: true,
+      type: Number,
+      range: {
+        min: 0,
+        max: 12,
+        step: 0.5,
+      },
+      default: 0,
+    },
     variability: {
       name: "Weather Variability",
       hint: "How much the weather can vary from the baseline (1-10)",
@@ -156,6 +181,57 @@ export class Settings {
       },
       default: 5,
     },
+    forecastError: {
+      name: "Forecast Error",
+      hint:
+        "How far actual weather may stray from a committed forecast (0 = forecasts always come true)",
+      scope: "world",
+      config: true,
+      type: Number,
+      range: {
+        min: 0,
+        max: 10,
+        step: 1,
+      },
+      default: 0,
+    },
+    catchUpLimit: {
+      name: "Catch-up Limit",
+      hint:
+        "Most missed update intervals simulated after a time skip. Longer skips restart from the terrain baseline and only simulate the final intervals.",
+      scope: "world",
+      config: true,
+      type: Number,
+      range: {
+        min: 1,
+        max: 120,
+        step: 1,
+      },
+      default: 28,
+    },
+    historyLimit: {
+      name: "Weather History Limit",
+      hint:
+        "Most weather updates logged per scene. Older entries are dropped as new ones arrive; 0 turns the log off.",
+      scope: "world",
+      config: true,
+      type: Number,
+      range: {
+        min: 0,
+        max: 500,
+        step: 10,
+      },
+      default: 50,
+    },
+    weatherSeed: {
+      name: "Weather Seed",
+      hint:
+        "Seed for reproducible weather. Each scene derives its own seed from this value and its ID. Leave blank for a random seed per scene.",
+      scope: "world",
+      config: true,
+      type: String,
+      default: "",
+    },
     useAI: {
       name: "Use AI for Descriptions",
       hint: "Use AI to generate more detailed weather descriptions",
@@ -238,6 +314,38 @@ export class Settings {
       type: Boolean,
       default: true,
     },
+    unitSystem: {
+      name: "Unit System",
+      hint:
+        "Show temperatures, wind speeds and precipitation rates in imperial (°F, mph, in/hr) or metric (°C, kph, mm/hr) units. Each user chooses their own.",
+      scope: "client",
+      config: true,
+      type: String,
+      default: "imperial",
+      choices: {
+        imperial: "Imperial (°F, mph, in/hr)",
+        metric: "Metric (°C, kph, mm/hr)",
+      },
+      onChange: () => WeatherUnits.localize(document.body),
+    },
+
+    climateOverrides: {
+      name: "Climate Overrides",
+      hint: "Climate anomalies set by the GM, pinned for every year or chosen per year",
+      scope: "world",
+      config: false,
+      type: Object,
+      default: { pinned: null, years: {} },
+    },
+
+    weatherPresets: {
+      name: "Weather Presets",
+      hint: "Named weather saved by the GM, keyed by preset",
+      scope: "world",
+      config: false,
+      type: Object,
+      default: {},
+    },
 
     campaignSettings: {
       name: "Campaign Settings Data",
@@ -386,6 +494,20 @@ export class Settings {
           }
           const data = await response.json();
           DebugLogger.log("settings", `Successfully loaded setting: ${settingId}`, data);
+          for (const problem of [
+            ...WeatherDimensions.validate(data),
+            ...WeatherEvents.validate(data),
+            ...WeatherFronts.validate(data),
+            ...WeatherDiurnal.validate(data),
+            ...WeatherSeasons.validate(data),
+            ...WeatherClimate.validate(data),
+            ...WeatherWind.validate(data),
+            ...WeatherPrecipitation.validate(data),
+            ...WeatherGround.validate(data),
+            ...WeatherPresets.validate(data),
+          ]) {
+            DebugLogger.warn(`Campaign setting ${settingId}: ${problem}`);
+          }
           return data;
         } catch (error) {
           DebugLogger.warn(`Failed to load ${settingId} from file, trying fallback`);
@@ -6,6 +6,7 @@
 import { Settings } from "./settings.js";
 import { SceneManager } from "./scene-manager.js";
 import { ErrorHandler } from "./utils.js";
+import { WeatherDimensions } from "./weather-dimensions.js";
 
 export class StateManager {
   /**
@@ -175,12 +176,7 @@ export class StateManager {
     }
 
     // Get from settings data
-    const modifiers = this.settingsData?.timeModifiers?.[timePeriod] || {
-      temperature: 0,
-      wind: 0,
-      precipitation: 0,
-      humidity: 0,
-    };
+    const modifiers = this.settingsData?.timeModifiers?.[timePeriod] || {};
 
     // Cache the result
     this.cache.timeModifiers.set(timePeriod, modifiers);
@@ -236,10 +232,7 @@ export class StateManager {
       initialized: true,
       weatherAvailable: true,
       campaign: campaignName,
-      temperature: weatherState.temperature,
-      wind: weatherState.wind,
-      precipitation: weatherState.precipitation,
-      humidity: weatherState.humidity,
+      ...WeatherDimensions.pick(weatherState, this.settingsData),
       variability: Settings.getSetting("variability"),
       terrain: terrainName,
       season: seasonName,
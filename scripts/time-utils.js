@@ -6,10 +6,17 @@
 import { ErrorHandler, DebugLogger } from "./utils.js";
 
 export class TimeUtils {
+  /**
+   * Furthest number of days searched in each direction for a season or year boundary
+   * @type {number}
+   */
+  static SPAN_SEARCH_DAYS = 400;
+
   static _cache = {
     timestamp: 0,
     period: null,
     fullDate: null,
+    spans: {},
   };
 
   /**
@@ -19,7 +26,7 @@ export class TimeUtils {
    */
   static getTimePeriod(useCache = true) {
     try {
-      const ss = game.seasonsStars?.api;
+      const ss = globalThis.game?.seasonsStars?.api;
       const calDate = ss?.getCurrentDate?.();
 
       // Fallback to system time when S&S is unavailable
@@ -41,13 +48,7 @@ export class TimeUtils {
       }
 
       // Fallback to local mapping
-      let period = "Unknown Time";
-      if (hours >= 0 && hours < 4) period = "2nd Watch";
-      else if (hours >= 4 && hours < 8) period = "3rd Watch";
-      else if (hours >= 8 && hours < 12) period = "Morning";
-      else if (hours >= 12 && hours < 16) period = "Noon";
-      else if (hours >= 16 && hours < 20) period = "Evening";
-      else if (hours >= 20 && hours < 24) period = "1st Watch";
+      const period = this._getPeriodForHour(hours);
 
       this._cache = { ...this._cache, timestamp: cacheKey, period };
       DebugLogger.log("time", `Time ${hours}:${minutes} -> ${period}`);
@@ -58,32 +59,168 @@ export class TimeUtils {
     }
   }
 
+  /**
+   * Get the time period at an arbitrary timestamp
+   * @param {number} timestamp - Timestamp in milliseconds
+   * @returns {string} Time period name
+   */
+  static getTimePeriodAt(timestamp) {
+    try {
+      const calDate = this.getDateAt(timestamp);
+      if (calDate?.formatter?.formatNamed) {
+        return calDate.formatter.formatNamed(calDate, "mixed") || "Unknown Time";
+      }
+
+      const hours = calDate?.time?.hour ?? new Date(timestamp).getHours();
+      return this._getPeriodForHour(hours);
+    } catch (error) {
+      DebugLogger.warn("Error getting time period for timestamp", error);
+      return "Unknown Time";
+    }
+  }
+
+  /**
+   * Get the exact hour of the day at a timestamp, including minutes and
+   * seconds as fractions of an hour
+   * @param {number} timestamp - Timestamp in milliseconds
+   * @returns {number} Hour of the day
+   */
+  static getHourAt(timestamp) {
+    const calDate = this.getDateAt(timestamp);
+    if (calDate?.time) {
+      const { minutesInHour, secondsInMinute } = this._getCalendarTime();
+      return (
+        (calDate.time.hour ?? 0) +
+        (calDate.time.minute ?? 0) / minutesInHour +
+        (calDate.time.second ?? 0) / (minutesInHour * secondsInMinute)
+      );
+    }
+
+    const date = new Date(timestamp);
+    return date.getHours() + date.getMinutes() / 60 + date.getSeconds() / 3600;
+  }
+
+  /**
+   * Map an hour of the day to the local time period names
+   * @private
+   * @param {number} hours - Hour of the day
+   * @returns {string} Time period name
+   */
+  static _getPeriodForHour(hours) {
+    if (hours >= 0 && hours < 4) return "2nd Watch";
+    if (hours >= 4 && hours < 8) return "3rd Watch";
+    if (hours >= 8 && hours < 12) return "Morning";
+    if (hours >= 12 && hours < 16) return "Noon";
+    if (hours >= 16 && hours < 20) return "Evening";
+    if (hours >= 20 && hours < 24) return "1st Watch";
+    return "Unknown Time";
+  }
+
+  /**
+   * Get the Seasons & Stars calendar date at a timestamp
+   * @param {number} timestamp - Timestamp in milliseconds
+   * @returns {Object|null} Calendar date or null if S&S is unavailable
+   */
+  static getDateAt(timestamp) {
+    try {
+      const ss = globalThis.game?.seasonsStars?.api;
+      return ss?.worldTimeToDate?.(timestamp / 1000) || null;
+    } catch (error) {
+      DebugLogger.warn("Error converting timestamp to Seasons & Stars date", error);
+      return null;
+    }
+  }
+
+  /**
+   * Get the timestamp of the start of the day containing a timestamp
+   * @param {number} timestamp - Timestamp in milliseconds
+   * @returns {number} Timestamp of midnight
+   */
+  static getStartOfDay(timestamp) {
+    const calDate = this.getDateAt(timestamp);
+    if (calDate?.time) {
+      const hourLength = this.getHourLength();
+      const minuteLength = hourLength / this._getCalendarTime().minutesInHour;
+      return (
+        timestamp -
+        (calDate.time.hour ?? 0) * hourLength -
+        (calDate.time.minute ?? 0) * minuteLength -
+        (calDate.time.second ?? 0) * 1000
+      );
+    }
+
+    const date = new Date(timestamp);
+    date.setHours(0, 0, 0, 0);
+    return date.getTime();
+  }
+
   /**
    * Get the current timestamp based on Dark Sun Calendar or system time
-   * @returns {number} Current timestamp
+   * @returns {number} Current timestamp in milliseconds
    */
   static getCurrentTimestamp() {
     try {
-      const ss = game.seasonsStars?.api;
+      const ss = globalThis.game?.seasonsStars?.api;
       const currentDate = ss?.getCurrentDate?.();
       if (ss && currentDate) {
-        // Convert date to world time if possible
+        // Convert date to world time if possible (world time is in seconds)
         const worldTime = ss.dateToWorldTime?.(currentDate);
-        if (typeof worldTime === "number") return worldTime;
+        if (typeof worldTime === "number") return worldTime * 1000;
       }
     } catch (error) {
       DebugLogger.warn("Error getting Seasons & Stars timestamp", error);
     }
+    // Fall back to Foundry's world clock so time skips are still tracked
+    if (typeof globalThis.game?.time?.worldTime === "number") return game.time.worldTime * 1000;
     return Date.now();
   }
 
+  /**
+   * Get the length of a calendar day
+   * @returns {number} Day length in milliseconds
+   */
+  static getDayLength() {
+    return this._getCalendarTime().hoursInDay * this.getHourLength();
+  }
+
+  /**
+   * Get the length of a calendar hour
+   * @returns {number} Hour length in milliseconds
+   */
+  static getHourLength() {
+    const time = this._getCalendarTime();
+    return time.minutesInHour * time.secondsInMinute * 1000;
+  }
+
+  /**
+   * Get the active calendar's time units, defaulting to Earth time
+   * @private
+   * @returns {Object} hoursInDay, minutesInHour and secondsInMinute
+   */
+  static _getCalendarTime() {
+    try {
+      const calendar = globalThis.game?.seasonsStars?.api?.getActiveCalendar?.();
+      const time = calendar?.time;
+      if (time?.hoursInDay) {
+        return {
+          hoursInDay: time.hoursInDay,
+          minutesInHour: time.minutesInHour || 60,
+          secondsInMinute: time.secondsInMinute || 60,
+        };
+      }
+    } catch (error) {
+      DebugLogger.warn("Error getting Seasons & Stars calendar time", error);
+    }
+    return { hoursInDay: 24, minutesInHour: 60, secondsInMinute: 60 };
+  }
+
   /**
    * Get the current date display from Dark Sun Calendar
    * @returns {Object} Date display object
    */
   static getCurrentDateDisplay() {
     try {
-      const ss = game.seasonsStars?.api;
+      const ss = globalThis.game?.seasonsStars?.api;
       const currentDate = ss?.getCurrentDate?.();
       if (ss && currentDate) {
         const dateString = ss.formatDate?.(currentDate) || "Unknown Date";
@@ -115,16 +252,7 @@ export class TimeUtils {
    * @returns {Object} Time modifiers
    */
   static getTimeModifiers(timePeriod, settingsData) {
-    if (!settingsData?.timeModifiers?.[timePeriod]) {
-      return {
-        temperature: 0,
-        wind: 0,
-        precipitation: 0,
-        humidity: 0,
-      };
-    }
-
-    return settingsData.timeModifiers[timePeriod];
+    return settingsData?.timeModifiers?.[timePeriod] || {};
   }
 
   /**
@@ -133,45 +261,194 @@ export class TimeUtils {
    */
   static getCurrentSeason() {
     try {
-      const ss = game.seasonsStars?.api;
+      const ss = globalThis.game?.seasonsStars?.api;
       if (!ss) return null;
 
       const date = typeof ss.getCurrentDate === "function" ? ss.getCurrentDate() : null;
-      const seasonInfo = typeof ss.getSeasonInfo === "function"
-        ? ss.getSeasonInfo(date)
-        : (date?.season || null);
-
-      // Map to campaign keys when possible
-      const settingsData = game.dimWeather?.settingsData || null;
-      const mapped = this._mapSeasonToCampaignKey(seasonInfo, settingsData);
-      if (mapped) return mapped;
-
-      // Fall back to raw identifiers
-      if (seasonInfo?.key) return String(seasonInfo.key).toLowerCase();
-      if (seasonInfo?.id) return String(seasonInfo.id).toLowerCase();
-      if (seasonInfo?.name) return this._normalizeSeasonString(seasonInfo.name);
-      return null;
+      return this._getSeasonForDate(ss, date);
     } catch (error) {
       ErrorHandler.logAndNotify("Error getting current season from Seasons & Stars", error);
       return null;
     }
   }
 
+  /**
+   * Get the season at an arbitrary timestamp using Seasons & Stars
+   * @param {number} timestamp - Timestamp in milliseconds
+   * @returns {string|null} Season key or null if not found
+   */
+  static getSeasonAt(timestamp) {
+    try {
+      const ss = globalThis.game?.seasonsStars?.api;
+      const date = this.getDateAt(timestamp);
+      if (!ss || !date) return null;
+
+      return this._getSeasonForDate(ss, date);
+    } catch (error) {
+      DebugLogger.warn("Error getting season for timestamp", error);
+      return null;
+    }
+  }
+
+  /**
+   * Get how far through its season a timestamp is, with the seasons either side
+   * @param {number} timestamp - Timestamp in milliseconds
+   * @returns {Object|null} season, previous and next season keys, start, end and progress (0-1), or null if S&S cannot place the boundaries
+   */
+  static getSeasonPosition(timestamp) {
+    try {
+      const span = this._getSpan("season", timestamp, (time) => this.getSeasonAt(time));
+      if (!span) return null;
+
+      const { key, ...position } = span;
+      return { season: key, ...position };
+    } catch (error) {
+      DebugLogger.warn("Error finding season boundaries", error);
+      return null;
+    }
+  }
+
+  /**
+   * Get the calendar year at a timestamp
+   * @param {number} timestamp - Timestamp in milliseconds
+   * @returns {number} Year
+   */
+  static getYearAt(timestamp) {
+    const calDate = this.getDateAt(timestamp);
+    return calDate?.year ?? new Date(timestamp).getFullYear();
+  }
+
+  /**
+   * Get how far through its calendar year a timestamp is
+   * @param {number} timestamp - Timestamp in milliseconds
+   * @returns {Object|null} year, start, end and progress (0-1), or null if the year boundaries cannot be found
+   */
+  static getYearPosition(timestamp) {
+    try {
+      const span = this._getSpan("year", timestamp, (time) => this.getYearAt(time));
+      if (!span) return null;
+
+      return {
+        year: span.key,
+        start: span.start,
+        end: span.end,
+        progress: span.progress,
+      };
+    } catch (error) {
+      DebugLogger.warn("Error finding year boundaries", error);
+      return null;
+    }
+  }
+
+  /**
+   * Find the span of days around a timestamp that share a calendar value,
+   * such as the season or year
+   * Boundaries are found by stepping day by day through the calendar; the
+   * span found is cached until a timestamp falls outside it.
+   * @private
+   * @param {string} name - Cache name for the span
+   * @param {number} timestamp - Timestamp in milliseconds
+   * @param {Function} getKey - Returns the calendar value at a timestamp
+   * @returns {Object|null} key, previous and next keys, start, end and progress (0-1), or null if no boundaries were found
+   */
+  static _getSpan(name, timestamp, getKey) {
+    const key = getKey(timestamp);
+    if (key === null || key === undefined) return null;
+
+    const dayLength = this.getDayLength();
+    const day = this.getStartOfDay(timestamp);
+    let span = this._cache.spans[name];
+    const isCached =
+      span?.key === key && day >= span.searchStart && day < span.searchEnd;
+
+    if (!isCached) {
+      // Sample each day at midday so boundaries are not read off a midnight
+      const findBoundary = (direction) => {
+        for (let i = 1; i <= this.SPAN_SEARCH_DAYS; i++) {
+          const other = getKey(day + direction * i * dayLength + dayLength / 2);
+          if (other !== key) {
+            return {
+              time: day + (direction > 0 ? i : 1 - i) * dayLength,
+              key: other,
+            };
+          }
+        }
+        return null;
+      };
+
+      const start = findBoundary(-1);
+      const end = findBoundary(1);
+      span =
+        start && end && start.key != null && end.key != null
+          ? {
+              key,
+              previous: start.key,
+              next: end.key,
+              start: start.time,
+              end: end.time,
+              searchStart: start.time,
+              searchEnd: end.time,
+            }
+          : {
+              key,
+              searchStart: day - this.SPAN_SEARCH_DAYS * dayLength,
+              searchEnd: day + this.SPAN_SEARCH_DAYS * dayLength,
+            };
+      this._cache = { ...this._cache, spans: { ...this._cache.spans, [name]: span } };
+    }
+
+    if (span.start === undefined) return null;
+    return {
+      key,
+      previous: span.previous,
+      next: span.next,
+      start: span.start,
+      end: span.end,
+      progress: Math.max(0, Math.min(1, (timestamp - span.start) / (span.end - span.start))),
+    };
+  }
+
+  /**
+   * Resolve the campaign season key for a Seasons & Stars date
+   * @private
+   * @param {Object} ss - Seasons & Stars API
+   * @param {Object|null} date - Calendar date
+   * @returns {string|null} Season key or null if not found
+   */
+  static _getSeasonForDate(ss, date) {
+    const seasonInfo = typeof ss.getSeasonInfo === "function"
+      ? ss.getSeasonInfo(date)
+      : (date?.season || null);
+
+    // Map to campaign keys when possible
+    const settingsData = globalThis.game?.dimWeather?.settingsData || null;
+    const mapped = this._mapSeasonToCampaignKey(seasonInfo, settingsData);
+    if (mapped) return mapped;
+
+    // Fall back to raw identifiers
+    if (seasonInfo?.key) return String(seasonInfo.key).toLowerCase();
+    if (seasonInfo?.id) return String(seasonInfo.id).toLowerCase();
+    if (seasonInfo?.name) return this._normalizeSeasonString(seasonInfo.name);
+    return null;
+  }
+
   /**
    * Calculate time passed since a timestamp
+   * Minutes, hours and days are those of the active calendar.
    * @param {number} timestamp - Previous timestamp
    * @returns {Object} Time passed in different units
    */
   static getTimeSince(timestamp) {
     const currentTime = this.getCurrentTimestamp();
     const timeDiff = currentTime - timestamp;
+    const minuteLength = this._getCalendarTime().secondsInMinute * 1000;
 
     return {
       milliseconds: timeDiff,
       seconds: timeDiff / 1000,
-      minutes: timeDiff / 60000,
-      hours: timeDiff / 3600000,
-      days: timeDiff / 86400000,
+      minutes: timeDiff / minuteLength,
+      hours: timeDiff / this.getHourLength(),
+      days: timeDiff / this.getDayLength(),
     };
   }
 
@@ -182,10 +459,28 @@ export class TimeUtils {
    * @returns {boolean} Whether an update is needed
    */
   static isUpdateNeeded(lastUpdate, frequency) {
-    if (!lastUpdate) return true;
+    // Only states never stamped need one; 0 is the start of world time
+    if (typeof lastUpdate !== "number") return true;
+
+    // Time moved backwards (or the stamp predates the current clock source)
+    if (lastUpdate > this.getCurrentTimestamp()) return true;
 
-    const timeSince = this.getTimeSince(lastUpdate);
-    return timeSince.hours >= frequency;
+    return this.getMissedUpdates(lastUpdate, frequency) >= 1;
+  }
+
+  /**
+   * Count the update intervals that have elapsed since the last update
+   * @param {number} lastUpdate - Timestamp of the last update
+   * @param {number} frequency - Update frequency in calendar hours
+   * @param {number} [currentTime] - Time to measure to, defaults to now
+   * @returns {number} Number of whole intervals elapsed
+   */
+  static getMissedUpdates(lastUpdate, frequency, currentTime) {
+    if (typeof lastUpdate !== "number" || !(frequency > 0)) return 0;
+
+    const now = currentTime ?? this.getCurrentTimestamp();
+    const interval = frequency * this.getHourLength();
+    return Math.max(0, Math.floor((now - lastUpdate) / interval));
   }
 
   /**
@@ -196,6 +491,7 @@ export class TimeUtils {
       timestamp: 0,
       period: null,
       fullDate: null,
+      spans: {},
     };
   }
 
@@ -206,6 +502,13 @@ export class TimeUtils {
    */
   static formatTimestamp(timestamp) {
     try {
+      // Prefer the campaign calendar when Seasons & Stars is available
+      const ss = globalThis.game?.seasonsStars?.api;
+      if (typeof ss?.formatDate === "function") {
+        const date = this.getDateAt(timestamp);
+        if (date) return ss.formatDate(date);
+      }
+
       // Best-effort formatting using local time
       return new Date(timestamp).toLocaleString();
     } catch (error) {
@@ -8,6 +8,14 @@ import { DOMUtils, ErrorHandler } from "./utils.js";
 import { SceneManager } from "./scene-manager.js";
 import { WeatherDescriptionService } from "./services/weather-description.js";
 import { TimeUtils } from "./time-utils.js";
+import { WeatherDimensions } from "./weather-dimensions.js";
+import { WeatherUnits } from "./weather-units.js";
+import { WeatherEvents } from "./weather-events.js";
+import { WeatherFronts } from "./weather-fronts.js";
+import { WeatherGround } from "./weather-ground.js";
+import { WeatherLocks } from "./weather-locks.js";
+import { WeatherPrecipitation } from "./weather-precipitation.js";
+import { WeatherWind } from "./weather-wind.js";
 
 export class UIController {
   /**
@@ -289,7 +297,11 @@ export class UIController {
         <h3>Current Weather</h3>
         <p class="terrain-type">${terrainDisplay} - ${timeDisplay} - ${seasonDisplay}</p>
         <hr>
+        ${WeatherFronts.renderActive(weatherState, this.settingsData)}
+        ${WeatherEvents.renderActive(weatherState, this.settingsData)}
+        ${WeatherGround.renderActive(weatherState, this.settingsData)}
         <div class="weather-description">${description}</div>
+        ${this._renderTransition(weatherState)}
       </div>`;
 
       // Send chat message
@@ -319,22 +331,40 @@ export class UIController {
     // Ensure description service reflects current settings (handles runtime changes)
     this._ensureDescriptionService();
 
-    // Get dimension descriptions
-    const tempDesc = this._getDimensionDescription(
-      "temperature",
-      weatherState.temperature
-    );
-
-    const windDesc = this._getDimensionDescription("wind", weatherState.wind);
-
-    const precipDesc = this._getDimensionDescription(
-      "precipitation",
-      weatherState.precipitation
-    );
-
-    const humidDesc = this._getDimensionDescription(
-      "humidity",
-      weatherState.humidity
+    // Describe every dimension the campaign tracks, with real-world units
+    // for the dimensions the campaign maps to them, the wind's direction and
+    // what is falling
+    const windKey = WeatherWind.getDimension(this.settingsData);
+    const precipitationKey = WeatherPrecipitation.getDimension(this.settingsData);
+    const precipitationType = WeatherPrecipitation.getType(weatherState, this.settingsData);
+    const dimensions = WeatherDimensions.getAll(this.settingsData).map(
+      (dimension) => {
+        const measurement = WeatherUnits.measure(
+          dimension.key,
+          weatherState[dimension.key],
+          this.settingsData
+        );
+        const windVector =
+          dimension.key === windKey ? weatherState.windVector ?? null : null;
+        const type = dimension.key === precipitationKey ? precipitationType : null;
+        return {
+          key: dimension.key,
+          name: dimension.name,
+          label: dimension.label,
+          description:
+            (type && WeatherPrecipitation.describe(weatherState, this.settingsData)) ||
+            WeatherDimensions.describe(
+              dimension.key,
+              weatherState[dimension.key],
+              this.settingsData
+            ),
+          type: type?.name ?? null,
+          measurement,
+          units: WeatherUnits.format(measurement),
+          windVector,
+          wind: WeatherWind.describe(windVector, this.settingsData),
+        };
+      }
     );
 
     // Get terrain description
@@ -356,10 +386,9 @@ export class UIController {
         const prompt = {
           campaign: this.settingsData.name,
           terrain: atmosphericDesc,
-          tempDesc,
-          windDesc,
-          precipDesc,
-          humidDesc,
+          dimensions,
+          events: WeatherEvents.getActive(weatherState, this.settingsData),
+          ground: WeatherGround.getActive(weatherState, this.settingsData),
           timePeriod,
         };
 
@@ -377,10 +406,7 @@ export class UIController {
           const survivalRules = game.dimWeather?.engine?.getSurvivalRules?.() || this._getSurvivalRules(weatherState);
 
           // Format the weather conditions with appropriate styling
-          const weatherDetails = `<p><strong>Heat:</strong> ${tempDesc}</p>
-<p><strong>Wind:</strong> ${windDesc}</p>
-<p><strong>Humidity:</strong> ${humidDesc}</p>
-<p><strong>Precipitation:</strong> ${precipDesc}</p>`;
+          const weatherDetails = this._formatDimensionDescriptions(dimensions);
 
           return `${aiDescription} ${weatherDetails} ${survivalRules}`;
         } else {
@@ -392,13 +418,7 @@ export class UIController {
     }
 
     // Basic description as fallback
-    return this._getBasicDescription(
-      atmosphericDesc,
-      tempDesc,
-      windDesc,
-      precipDesc,
-      humidDesc
-    );
+    return this._getBasicDescription(atmosphericDesc, dimensions);
   }
 
   /**
@@ -444,61 +464,6 @@ export class UIController {
     }
   }
 
-  /**
-   * Get a formatted dimension description
-   * @private
-   * @param {string} dimension - Dimension name
-   * @param {number} value - Dimension value
-   * @returns {string} Formatted description
-   */
-  _getDimensionDescription(dimension, value) {
-    if (!this.settingsData?.weatherDimensions?.[dimension]?.descriptions) {
-      return `Normal ${dimension}`;
-    }
-
-    const descriptions = this.settingsData.weatherDimensions[dimension]
-      .descriptions;
-    const level = this._roundToNextLevel(value, descriptions);
-
-    return descriptions[level] || `Normal ${dimension}`;
-  }
-
-  /**
-   * Round a value to the nearest available description level
-   * @private
-   * @param {number} value - The value to round
-   * @param {Object} descriptions - Description mapping
-   * @returns {string} The nearest level as a string
-   */
-  _roundToNextLevel(value, descriptions) {
-    // Get all available levels and sort them
-    const levels = Object.keys(descriptions)
-      .map(Number)
-      .sort((a, b) => a - b);
-
-    // For negative numbers, find the next higher level
-    if (value < 0) {
-      for (let i = 0; i < levels.length; i++) {
-        if (value <= levels[i]) {
-          return levels[i].toString();
-        }
-      }
-      // If no higher level found, return the highest negative level
-      const negLevels = levels.filter((l) => l < 0);
-      return negLevels.length ? Math.max(...negLevels).toString() : "0";
-    }
-
-    // For positive numbers, find the next lower level
-    for (let i = levels.length - 1; i >= 0; i--) {
-      if (value >= levels[i]) {
-        return levels[i].toString();
-      }
-    }
-
-    // If no lower level found, return the lowest level
-    return levels[0].toString();
-  }
-
   /**
    * Get a formatted terrain name
    * @private
@@ -558,29 +523,37 @@ export class UIController {
     return TimeUtils.getTimePeriod();
   }
 
+  /**
+   * Format dimension descriptions as labelled paragraphs
+   * @private
+   * @param {Object[]} dimensions - Dimensions with label, description, precipitation type, measurement and wind vector
+   * @returns {string} Formatted HTML
+   */
+  _formatDimensionDescriptions(dimensions) {
+    return dimensions
+      .map((dimension) => {
+        const details = [
+          dimension.type,
+          dimension.measurement ? WeatherUnits.formatHTML(dimension.measurement) : "",
+          WeatherWind.describe(dimension.windVector, this.settingsData, { html: true }),
+        ].filter(Boolean);
+        const units = details.length ? ` (${details.join(", ")})` : "";
+        return `<p><strong>${dimension.label}${units}:</strong> ${dimension.description}</p>`;
+      })
+      .join("\n");
+  }
+
   /**
    * Get a basic weather description
    * @private
    * @param {string} atmosphericDesc - Terrain description
-   * @param {string} tempDesc - Temperature description
-   * @param {string} windDesc - Wind description
-   * @param {string} precipDesc - Precipitation description
-   * @param {string} humidDesc - Humidity description
+   * @param {Object[]} dimensions - Dimensions with label and description
    * @returns {string} Formatted weather description
    */
-  _getBasicDescription(
-    atmosphericDesc,
-    tempDesc,
-    windDesc,
-    precipDesc,
-    humidDesc
-  ) {
+  _getBasicDescription(atmosphericDesc, dimensions) {
     // Format the weather conditions with appropriate styling
     const weatherDesc = `${atmosphericDesc}
-<p><strong>Heat:</strong> ${tempDesc}</p>
-<p><strong>Wind:</strong> ${windDesc}</p>
-<p><strong>Humidity:</strong> ${humidDesc}</p>
-<p><strong>Precipitation:</strong> ${precipDesc}</p>`;
+${this._formatDimensionDescriptions(dimensions)}`;
 
     // Get survival rules
     const survivalRules = game.dimWeather?.engine?.getSurvivalRules?.() || this._getSurvivalRules();
@@ -615,51 +588,22 @@ export class UIController {
       });
     };
 
-    // Temperature-based rules
-    if (this.settingsData?.weatherDimensions?.temperature?.rules) {
-      const tempRules = this.settingsData.weatherDimensions.temperature.rules;
-      tempRules.forEach((rule) => {
-        if (
-          rule.extremeHeat !== undefined &&
-          weatherState.temperature >= rule.extremeHeat
-        ) {
-          addEffectBullets(rule.effect);
-        }
-        if (
-          rule.extremeCold !== undefined &&
-          weatherState.temperature <= rule.extremeCold
-        ) {
-          addEffectBullets(rule.effect);
-        }
-      });
-    }
+    // Dimension rules triggered by the current values
+    WeatherDimensions.getTriggeredRules(weatherState, this.settingsData).forEach(
+      (rule) => addEffectBullets(rule.effect)
+    );
 
-    // Wind-based rules
-    if (this.settingsData?.weatherDimensions?.wind?.rules) {
-      const windRules = this.settingsData.weatherDimensions.wind.rules;
-      windRules.forEach((rule) => {
-        if (
-          rule.strongWind !== undefined &&
-          weatherState.wind >= rule.strongWind
-        ) {
-          addEffectBullets(rule.effect);
-        }
-      });
-    }
+    // Ground rules triggered by what the weather left behind
+    WeatherGround.getTriggeredRules(weatherState, this.settingsData).forEach((rule) => {
+      if (rule.effect) addEffectBullets(rule.effect);
+    });
 
-    // Precipitation-based rules
-    if (this.settingsData?.weatherDimensions?.precipitation?.rules) {
-      const precipRules = this.settingsData.weatherDimensions.precipitation
-        .rules;
-      precipRules.forEach((rule) => {
-        if (
-          rule.heavyPrecipitation !== undefined &&
-          weatherState.precipitation >= rule.heavyPrecipitation
-        ) {
-          addEffectBullets(rule.effect);
-        }
+    // Rules attached to active weather events
+    WeatherEvents.getActive(weatherState, this.settingsData).forEach((event) => {
+      event.rules.forEach((rule) => {
+        rulesList += `<li><strong>${event.name}:</strong> ${rule}</li>`;
       });
-    }
+    });
 
     // Add terrain-specific rules
     const terrain = this.settingsData?.terrains?.[weatherState.terrain];
@@ -677,6 +621,267 @@ export class UIController {
     return `<h4>Survival Rules:</h4><ul>${rulesList}</ul>`;
   }
 
+  /**
+   * Render the details of a weather calculation as a chat report
+   * @param {Object} calc - Calculation details from WeatherEngine.getLastCalculation
+   * @returns {string} Report HTML
+   */
+  renderCalculationReport(calc) {
+    const dimensions = WeatherDimensions.getAll(this.settingsData);
+    const list = (values, format = (value) => value ?? 0) =>
+      `<ul>${dimensions
+        .map(
+          (dimension) =>
+            `<li>${dimension.name}: ${format(values?.[dimension.key], dimension.key)}</li>`
+        )
+        .join("")}</ul>`;
+    const nameOf = (key) => WeatherDimensions.get(key, this.settingsData).name;
+
+    // Get current campaign ID for CSS class
+    const currentCampaign = Settings.getSetting("campaign");
+    const campaignClass = currentCampaign ? `campaign-${currentCampaign}` : '';
+
+    const randomHeading = calc.forecast
+      ? `Forecast Day ${calc.forecast.day} ${calc.forecast.timePeriod}, Error: ${calc.forecast.error}`
+      : `Variability: ${calc.variability}`;
+    const breakdown = calc.variabilityBreakdown;
+    const curveKeys = Object.keys({
+      ...calc.diurnal?.campaign,
+      ...calc.diurnal?.terrain,
+    });
+
+    return `<div class="weather-report ${campaignClass}">
+      <h3>WEATHER CALCULATION DETAILS</h3>
+      <h4>Base Values (${calc.terrain.name})</h4>
+      ${list(calc.terrain.base)}
+      ${calc.previous ? `<h4>Previous Values</h4>${list(calc.previous)}` : ""}
+      <h4>Random Factors (${randomHeading})</h4>
+      <p>Seed: ${calc.seed} (step ${calc.step})</p>
+      ${breakdown ? `<p>Variability ${calc.variability} = ${breakdown.global} (global) × ${breakdown.terrainFactor} (terrain) × ${breakdown.seasonFactor} (season)</p>` : ""}
+      ${calc.persistence ? `<p>Persistence: ${dimensions.map((dimension) => `${dimension.name} ${calc.persistence[dimension.key]}`).join(", ")}</p>` : ""}
+      ${calc.catchUp ? `<p>Caught up ${calc.catchUp.simulated} missed updates${calc.catchUp.skipped ? ` (${calc.catchUp.skipped} skipped)` : ""}</p>` : ""}
+      ${list(calc.randomFactors, (value) => (value ?? 0).toFixed(2))}
+      <h4>Time Modifiers (${calc.timePeriod}${
+        curveKeys.length
+          ? `; curves at hour ${Math.round(calc.diurnal.hour * 10) / 10} for ${curveKeys.map(nameOf).join(", ")}`
+          : ""
+      })</h4>
+      ${list(calc.timeModifiers)}
+      <h4>Season Modifiers (${calc.season}${
+        calc.seasonBlend
+          ? `, ${Math.round(calc.seasonBlend.progress * 100)}% through, between ${calc.seasonBlend.previous} and ${calc.seasonBlend.next}`
+          : ""
+      })</h4>
+      ${list(calc.seasonModifiers)}
+      ${
+        calc.climate
+          ? `<h4>Climate Modifiers (${calc.climate.year}: ${calc.climate.anomaly?.name || "normal year"}${calc.climate.cycles.map((cycle) => `, ${cycle.name} ${Math.round(cycle.strength * 100)}%`).join("")})</h4>
+      ${list(calc.climate.modifiers)}`
+          : ""
+      }
+      ${
+        calc.fronts?.phases?.length
+          ? `<h4>Front Modifiers (${calc.fronts.phases.map((front) => `${front.name}: ${front.phase} ${Math.round(front.intensity * 100)}%`).join(", ")})</h4>
+      ${list(calc.frontModifiers)}`
+          : ""
+      }
+      <h4>Intermediate Values (After Random)</h4>
+      ${list(calc.intermediate)}
+      ${
+        calc.coupling?.length
+          ? `<h4>Coupling Adjustments</h4>
+      <ul>${calc.coupling.map((a) => `<li>${a.description}: ${nameOf(a.dimension)} ${a.from} → ${a.to}</li>`).join("")}</ul>`
+          : ""
+      }
+      ${this._renderEventDetails(calc.events)}
+      ${this._renderLockDetails(calc.locks)}
+      ${
+        calc.wind
+          ? `<h4>Wind</h4>
+      <p>Blowing ${WeatherWind.describe(calc.wind, this.settingsData)} (${calc.wind.direction}°)</p>`
+          : ""
+      }
+      ${this._renderGroundDetails(calc.ground)}
+      ${
+        calc.precipitationType
+          ? `<h4>Precipitation Type</h4>
+      <p>${WeatherPrecipitation.get(calc.precipitationType, this.settingsData)?.name ?? calc.precipitationType}</p>`
+          : ""
+      }
+      <h4>Final Values (After Modifiers)</h4>
+      ${list(calc.final, (value, key) => `${value ?? 0}${WeatherUnits.formatSuffix(key, value ?? 0, this.settingsData)}`)}
+    </div>`;
+  }
+
+  /**
+   * Render a weather preview for GMs
+   * @param {Object} preview - Preview from WeatherEngine.previewUpdate()
+   * @returns {string} Preview HTML
+   */
+  renderPreviewReport(preview) {
+    const { weatherState } = preview.next;
+    const { distribution } = preview;
+    const percent = (share) => `${Math.round(share * 100)}%`;
+
+    const currentCampaign = Settings.getSetting("campaign");
+    const campaignClass = currentCampaign ? `campaign-${currentCampaign}` : '';
+
+    const type = WeatherPrecipitation.get(weatherState.precipitationType, this.settingsData);
+    const events = WeatherEvents.formatNames(
+      [...(weatherState.events || []), ...(weatherState.fronts || [])],
+      this.settingsData
+    );
+    const next = [
+      type ? `Precipitation: ${type.name}` : null,
+      weatherState.windVector
+        ? `Wind ${WeatherWind.describe(weatherState.windVector, this.settingsData, { html: true })}`
+        : null,
+      events ? `Events: ${events}` : null,
+    ].filter(Boolean);
+
+    const outcomes = WeatherDimensions.getAll(this.settingsData)
+      .filter((dimension) => distribution.dimensions[dimension.key])
+      .map((dimension) => {
+        const { min, max, mean, counts } = distribution.dimensions[dimension.key];
+        const likely = Object.entries(counts).sort((a, b) => b[1] - a[1])[0][0];
+        return `<li>${dimension.name}: ${min} to ${max}, most often ${likely} (average ${mean})</li>`;
+      })
+      .join("");
+    const shares = (entries, nameOf) =>
+      Object.entries(entries)
+        .sort((a, b) => b[1] - a[1])
+        .map(([key, share]) => `${nameOf(key)} ${percent(share)}`)
+        .join(", ");
+    const typeShares = shares(distribution.precipitationTypes, (key) =>
+      key === "none" ? "none" : WeatherPrecipitation.get(key, this.settingsData)?.name ?? key
+    );
+    const eventShares = shares(
+      distribution.events,
+      (key) =>
+        WeatherEvents.get(key, this.settingsData)?.name ??
+        WeatherFronts.get(key, this.settingsData)?.name ??
+        key
+    );
+
+    return `<div class="weather-report ${campaignClass}">
+      <h3>WEATHER PREVIEW</h3>
+      <p><em>Not committed; the scene's weather is unchanged.</em></p>
+      <p>Terrain: ${this._getFormattedTerrainName(preview.terrain)}, Season: ${this.settingsData?.seasons?.[preview.season]?.name ?? preview.season}, Variability: ${preview.variability}</p>
+      <h4>Next Update</h4>
+      <ul>${WeatherDimensions.formatListItems(weatherState, this.settingsData)}</ul>
+      ${next.length ? `<p>${next.join("; ")}</p>` : ""}
+      ${
+        distribution.samples
+          ? `<h4>Likely Outcomes (${distribution.samples} rolls)</h4>
+      <ul>${outcomes}</ul>
+      ${typeShares ? `<p>Precipitation: ${typeShares}</p>` : ""}
+      ${eventShares ? `<p>Events and fronts: ${eventShares}</p>` : ""}`
+          : ""
+      }
+    </div>`;
+  }
+
+  /**
+   * Render where the weather is heading while an update is still blending in
+   * @private
+   * @param {Object} weatherState - Interpolated weather state
+   * @returns {string} Transition HTML, or an empty string if the weather is settled
+   */
+  _renderTransition(weatherState) {
+    const { target, transition } = weatherState || {};
+    if (!target || !transition) return "";
+
+    const changes = WeatherDimensions.getAll(this.settingsData)
+      .filter(
+        (dimension) =>
+          target[dimension.key] !== undefined &&
+          Math.abs(target[dimension.key] - weatherState[dimension.key]) >= 0.5
+      )
+      .map(
+        (dimension) =>
+          `${dimension.name} ${target[dimension.key]}${WeatherUnits.formatSuffix(
+            dimension.key,
+            target[dimension.key],
+            this.settingsData
+          )}`
+      );
+    if (!changes.length) return "";
+
+    const remaining =
+      (transition.start + transition.duration - TimeUtils.getCurrentTimestamp()) /
+      TimeUtils.getHourLength();
+    const hours = Math.max(0.1, Math.round(remaining * 10) / 10);
+    return `<p class="weather-transition"><em>Changing over the next ${hours} ${
+      hours === 1 ? "hour" : "hours"
+    } toward ${changes.join(", ")}</em></p>`;
+  }
+
+  /**
+   * Render how a weather calculation changed the ground conditions
+   * @private
+   * @param {Object} ground - Ground details from the calculation
+   * @returns {string} Ground HTML, or an empty string if the campaign tracks no ground conditions
+   */
+  _renderGroundDetails(ground) {
+    const conditions = WeatherGround.getAll(this.settingsData);
+    if (!ground?.levels || !conditions.length) return "";
+
+    return `<h4>Ground Conditions</h4>
+      <ul>${conditions
+        .map((condition) => {
+          const previous = ground.previous?.[condition.key];
+          const level = ground.levels[condition.key] ?? 0;
+          return `<li>${condition.name}: ${
+            typeof previous === "number" ? `${previous} → ` : ""
+          }${level}</li>`;
+        })
+        .join("")}</ul>`;
+  }
+
+  /**
+   * Render the locks a weather calculation held dimensions to
+   * @private
+   * @param {Object} locks - Lock details from the calculation
+   * @returns {string} Locks HTML, or an empty string if no dimension was locked
+   */
+  _renderLockDetails(locks) {
+    if (!locks?.active?.length) return "";
+
+    return `<h4>Locks</h4>
+      <ul>${locks.active
+        .map((lock) => {
+          const applied = locks.applied.find((entry) => entry.dimension === lock.dimension);
+          return `<li>${WeatherLocks.describe(lock, this.settingsData)}${
+            applied ? `: ${applied.from} → ${applied.to}` : ""
+          }</li>`;
+        })
+        .join("")}</ul>`;
+  }
+
+  /**
+   * Render the event changes of a weather calculation
+   * @private
+   * @param {Object} events - Event details from the calculation
+   * @returns {string} Events HTML, or an empty string if no event was involved
+   */
+  _renderEventDetails(events) {
+    if (!events?.active?.length && !events?.ended?.length) return "";
+
+    const names = (list) => WeatherEvents.formatNames(list, this.settingsData);
+    const items = [
+      events.started.length ? `Started: ${names(events.started)}` : null,
+      events.ended.length ? `Ended: ${names(events.ended)}` : null,
+      events.active.length ? `Active: ${names(events.active)}` : null,
+      ...events.overrides.map(
+        (override) =>
+          `${override.event}: ${WeatherDimensions.get(override.dimension, this.settingsData).name} ${override.from} → ${override.to}`
+      ),
+    ].filter(Boolean);
+
+    return `<h4>Weather Events</h4>
+      <ul>${items.map((item) => `<li>${item}</li>`).join("")}</ul>`;
+  }
+
   /**
    * Display calendar information
    * @returns {string} Calendar info HTML
@@ -104,8 +104,80 @@ export class DOMUtils {
 }
 
 /**
- * Random utility functions
+ * Deterministic pseudo-random number generator
+ * Each value is derived from the seed and a step counter, so any point in the
+ * sequence can be reproduced from those two numbers alone.
  */
+export class SeededRandom {
+  /**
+   * Create a new seeded generator
+   * @param {string|number} seed - Seed value
+   * @param {number} step - Position in the sequence to start from
+   */
+  constructor(seed, step = 0) {
+    this.seed = String(seed);
+    this.step = Number.isInteger(step) && step >= 0 ? step : 0;
+    this._hash = SeededRandom.hashSeed(this.seed);
+  }
+
+  /**
+   * Generate a new random seed string
+   * @returns {string} Seed
+   */
+  static generateSeed() {
+    return Math.floor(Math.random() * 0xffffffff)
+      .toString(36)
+      .padStart(7, "0");
+  }
+
+  /**
+   * Hash a seed string to a 32-bit integer (FNV-1a)
+   * @param {string} seed - Seed string
+   * @returns {number} Unsigned 32-bit hash
+   */
+  static hashSeed(seed) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < seed.length; i++) {
+      hash ^= seed.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+  }
+
+  /**
+   * Get the next value in the sequence
+   * @returns {number} Value in [0, 1)
+   */
+  next() {
+    // Mulberry32 output function applied to (hash + step), so values depend
+    // only on the seed and the step rather than on hidden generator state
+    let t = (this._hash + Math.imul(this.step + 1, 0x6d2b79f5)) | 0;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    this.step++;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  /**
+   * Get the next value scaled to [-1, 1)
+   * @returns {number} Signed value
+   */
+  signed() {
+    return this.next() * 2 - 1;
+  }
+
+  /**
+   * Create an independent generator derived from the current position
+   * Used for side calculations (such as forecasts) that must be reproducible
+   * without advancing this generator.
+   * @param {string} label - Label distinguishing the derived sequence
+   * @returns {SeededRandom} Derived generator
+   */
+  fork(label) {
+    return new SeededRandom(`${this.seed}:${label}:${this.step}`);
+  }
+}
+
 /**
  * Centralized debug logging utility
  */
@@ -164,4 +236,4 @@ export class DebugLogger {
   }
 }
 
-// Removed unused BatchUpdater and RandomUtils.
+// Removed unused BatchUpdater.
@@ -4,8 +4,26 @@
  */
 
 import { TimeUtils } from "./time-utils.js";
+import { SeededRandom } from "./utils.js";
+import { WeatherDimensions } from "./weather-dimensions.js";
+import { WeatherDiurnal } from "./weather-diurnal.js";
+import { WeatherEvents } from "./weather-events.js";
+import { WeatherFronts } from "./weather-fronts.js";
+import { WeatherGround } from "./weather-ground.js";
+import { WeatherLocks } from "./weather-locks.js";
+import { WeatherPrecipitation } from "./weather-precipitation.js";
+import { WeatherSeasons } from "./weather-seasons.js";
+import { WeatherClimate } from "./weather-climate.js";
+import { WeatherWind } from "./weather-wind.js";
 
 export class WeatherCalculator {
+  /**
+   * Hours of the day forecasts are calculated for when the campaign
+   * setting does not define forecastHours
+   * @type {number[]}
+   */
+  static DEFAULT_FORECAST_HOURS = [9, 13, 22];
+
   /**
    * Calculate weather changes based on input parameters
    * @param {Object} params - Weather calculation parameters
@@ -14,6 +32,10 @@ export class WeatherCalculator {
    * @param {number} params.variability - Weather variability setting
    * @param {string} params.currentSeason - Current season key
    * @param {Object} params.settingsData - Full campaign settings data 
+   * @param {SeededRandom} [params.rng] - Random source (defaults to the saved state's seed and step)
+   * @param {number} [params.forecastError] - How far results may stray from a committed forecast (0-10)
+   * @param {number} [params.currentTime] - Timestamp to calculate for (defaults to now)
+   * @param {string} [params.timePeriod] - Time period name (defaults to the period at currentTime)
    * @returns {Object} Calculation results
    */
   static calculateWeatherChanges(params) {
@@ -22,63 +44,240 @@ export class WeatherCalculator {
       savedState, 
       variability, 
       currentSeason,
-      settingsData 
+      settingsData,
+      forecastError = 0
     } = params;
+    const rng = params.rng || this.createRandom(savedState);
     
+    // Scale the global variability by how changeable the terrain and season are
+    const variabilityBreakdown = this.getEffectiveVariability(
+      variability,
+      terrain,
+      currentSeason,
+      settingsData
+    );
+    const effectiveVariability = variabilityBreakdown.effective;
+
     // Initialize calculation details object
-    const details = this._initializeDetails(terrain, savedState, variability);
+    const details = this._initializeDetails(
+      terrain,
+      savedState,
+      effectiveVariability,
+      settingsData
+    );
+    details.variabilityBreakdown = variabilityBreakdown;
+    details.seed = rng.seed;
+    details.step = rng.step;
     
     // Get current time
-    const currentTime = TimeUtils.getCurrentTimestamp();
+    const currentTime = params.currentTime ?? TimeUtils.getCurrentTimestamp();
+    const terrainKey = savedState?.terrain || this._formatTerrainKey(terrain.name);
     
-    // Calculate base values with randomization
-    const baseValues = this._calculateBaseValues(terrain, savedState, variability);
+    const persistence = this.getPersistence(terrain, settingsData);
+    details.persistence = persistence;
+
+    // Follow the committed forecast when one covers the current time,
+    // otherwise calculate base values with randomization
+    const forecastEntry = this.getDueForecastEntry(
+      savedState?.forecast,
+      currentTime,
+      savedState?.terrain
+    );
+    const baseValues = forecastEntry
+      ? this._calculateForecastValues(
+          forecastEntry,
+          forecastError,
+          rng,
+          settingsData
+        )
+      : this._calculateBaseValues(
+          terrain,
+          savedState,
+          effectiveVariability,
+          rng,
+          persistence,
+          settingsData
+        );
     details.randomFactors = baseValues.randomFactors;
+    details.forecast = forecastEntry
+      ? {
+          day: forecastEntry.day,
+          timePeriod: forecastEntry.timePeriod,
+          error: forecastError,
+        }
+      : null;
     
     // Get time period
-    const timePeriod = TimeUtils.getTimePeriod(currentTime);
+    const timePeriod =
+      params.timePeriod ??
+      (params.currentTime !== undefined
+        ? TimeUtils.getTimePeriodAt(currentTime)
+        : TimeUtils.getTimePeriod());
     details.timePeriod = timePeriod;
     
     // Get modifiers
     const globalTimeModifiers = TimeUtils.getTimeModifiers(timePeriod, settingsData);
     const terrainTimeModifiers = this._getTerrainTimeModifiers(timePeriod, terrain);
     
+    // Dimensions with a diurnal curve follow it at the exact time of day
+    const diurnal = WeatherDiurnal.getModifiers(
+      terrain,
+      currentTime,
+      currentSeason,
+      settingsData
+    );
+
     // Combine global and terrain-specific time modifiers
-    const timeModifiers = {
-      temperature: (globalTimeModifiers.temperature || 0) + (terrainTimeModifiers.temperature || 0),
-      wind: (globalTimeModifiers.wind || 0) + (terrainTimeModifiers.wind || 0),
-      precipitation: (globalTimeModifiers.precipitation || 0) + (terrainTimeModifiers.precipitation || 0),
-      humidity: (globalTimeModifiers.humidity || 0) + (terrainTimeModifiers.humidity || 0)
-    };
+    const timeModifiers = {};
+    for (const key of WeatherDimensions.getKeys(settingsData)) {
+      timeModifiers[key] =
+        (diurnal.campaign[key] ?? globalTimeModifiers[key] ?? 0) +
+        (diurnal.terrain[key] ?? terrainTimeModifiers[key] ?? 0);
+    }
     
     details.timeModifiers = timeModifiers;
     details.globalTimeModifiers = globalTimeModifiers;
     details.terrainTimeModifiers = terrainTimeModifiers;
+    details.diurnal = diurnal;
     
-    const seasonModifiers = this._getSeasonModifiers(currentSeason, settingsData);
+    // Blend season modifiers by the position within the season when S&S can
+    // place it; a season chosen by hand applies its modifiers as they are
+    const seasonPosition = TimeUtils.getSeasonPosition(currentTime);
+    const seasonBlend =
+      seasonPosition?.season === currentSeason ? seasonPosition : null;
+    const seasonModifiers = seasonBlend
+      ? WeatherSeasons.getModifiers(seasonBlend, settingsData)
+      : WeatherDimensions.pick(
+          this._getSeasonModifiers(currentSeason, settingsData),
+          settingsData
+        );
     details.seasonModifiers = seasonModifiers;
     details.season = currentSeason;
+    details.seasonBlend = seasonBlend;
+
+    // Add the slow-moving offset of the year's climate anomaly and cycles
+    const climate = WeatherClimate.getModifiers(currentTime, currentSeason, settingsData);
+    details.climate = climate;
+
+    // Move weather fronts along; a committed forecast decides which fronts
+    // arrive, otherwise they are rolled on a forked sequence
+    const fronts = WeatherFronts.update({
+      fronts: savedState?.fronts,
+      terrainKey,
+      season: currentSeason,
+      currentTime,
+      rng: rng.fork("fronts"),
+      scheduled: forecastEntry ? forecastEntry.fronts || [] : null,
+      settingsData,
+    });
+    const { modifiers: frontModifiers, phases } = WeatherFronts.getModifiers(
+      fronts.active,
+      currentTime,
+      settingsData
+    );
+    details.fronts = { ...fronts, phases };
+    details.frontModifiers = WeatherDimensions.pick(frontModifiers, settingsData);
     
     // Apply modifiers to base values
     const finalValues = this._applyModifiers(
       baseValues.values,
       timeModifiers,
-      seasonModifiers
+      seasonModifiers,
+      settingsData,
+      frontModifiers,
+      climate?.modifiers
     );
     
+    // Reconcile physically inconsistent combinations
+    details.coupling = this._applyCoupling(
+      finalValues,
+      settingsData?.coupling,
+      settingsData
+    );
+
+    // End, start and apply named events; a committed forecast decides which
+    // events start and when they end, otherwise they are rolled on a forked
+    // sequence so they do not change the weather rolled around them
+    details.events = WeatherEvents.update({
+      values: finalValues,
+      activeEvents: savedState?.events,
+      terrainKey,
+      season: currentSeason,
+      currentTime,
+      rng: rng.fork("events"),
+      scheduled: forecastEntry ? forecastEntry.events || [] : null,
+      settingsData,
+    });
+
+    // Hold locked dimensions where the GM put them; locks override events,
+    // and the wind, precipitation and ground follow the locked values
+    const locks = WeatherLocks.getActive(savedState?.locks, currentTime, settingsData);
+    details.locks = { active: locks, applied: WeatherLocks.apply(finalValues, locks) };
+
+    // Turn the wind toward its next direction and roll its gusts on a forked
+    // sequence; campaigns without a wind dimension have no wind vector
+    const windKey = WeatherWind.getDimension(settingsData);
+    let windVector = null;
+    if (finalValues[windKey] !== undefined) {
+      windVector = WeatherWind.update({
+        previous: savedState?.windVector,
+        speed: finalValues[windKey],
+        terrain,
+        season: currentSeason,
+        span: WeatherDimensions.getSpanFactor(windKey, settingsData),
+        rng: rng.fork("wind"),
+        scheduled: forecastEntry ? forecastEntry.windVector : null,
+        settingsData,
+      });
+      windVector.gust = WeatherLocks.clamp(
+        windKey,
+        WeatherDimensions.clamp(windKey, windVector.gust, settingsData),
+        locks
+      );
+    }
+    details.wind = windVector;
+
+    // Work out what is falling from the final weather and active events
+    const precipitationType = WeatherPrecipitation.derive({
+      values: finalValues,
+      terrainKey,
+      season: currentSeason,
+      events: details.events.active,
+      settingsData,
+    });
+    details.precipitationType = precipitationType;
+
+    // Build up or wear down what the weather since the last update left behind
+    const ground = WeatherGround.update({
+      previous: savedState,
+      terrain,
+      terrainKey,
+      season: currentSeason,
+      currentTime,
+      settingsData,
+    });
+    details.ground = { previous: savedState?.ground ?? null, levels: ground };
+
     // Store intermediate and final values
     details.intermediate = baseValues.values;
     details.final = finalValues;
     
     // Create the new weather state
     const newWeather = {
-      temperature: finalValues.temp,
-      wind: finalValues.wind,
-      precipitation: finalValues.precip,
-      humidity: finalValues.humid,
+      ...finalValues,
+      base: { ...baseValues.values },
       lastUpdate: currentTime,
-      terrain: savedState?.terrain || this._formatTerrainKey(terrain.name),
-      season: currentSeason
+      terrain: terrainKey,
+      season: currentSeason,
+      seed: rng.seed,
+      step: rng.step,
+      events: details.events.active,
+      fronts: fronts.active,
+      windVector,
+      precipitationType,
+      ground,
+      locks,
+      forecast: this._getRemainingForecast(savedState?.forecast, currentTime)
     };
     
     return {
@@ -87,30 +286,66 @@ export class WeatherCalculator {
     };
   }
   
+  /**
+   * Create a random source positioned at a weather state's seed and step
+   * @param {Object} [weatherState] - Weather state holding seed and step
+   * @returns {SeededRandom} Random source
+   */
+  static createRandom(weatherState = null) {
+    return new SeededRandom(
+      weatherState?.seed ?? SeededRandom.generateSeed(),
+      weatherState?.step ?? 0
+    );
+  }
+
+  /**
+   * Combine the global variability setting with terrain and season variability
+   * Terrain variability is rated 0-10 with 5 as neutral, so a terrain scales the
+   * global setting by variability / 5. A season's variability modifier adds
+   * or removes 10% per point.
+   * @param {number} variability - Global variability setting
+   * @param {Object} terrain - Terrain data
+   * @param {string} seasonKey - Current season key
+   * @param {Object} settingsData - Full campaign settings data
+   * @returns {Object} global, terrainFactor, seasonFactor and effective variability
+   */
+  static getEffectiveVariability(variability, terrain, seasonKey, settingsData) {
+    const global = Number(variability) || 0;
+    const terrainVariability = Number(terrain?.variability);
+    const terrainFactor = Number.isFinite(terrainVariability)
+      ? Math.max(0, terrainVariability) / 5
+      : 1;
+    const seasonVariability =
+      Number(settingsData?.seasons?.[seasonKey]?.modifiers?.variability) || 0;
+    const seasonFactor = Math.max(0, 1 + seasonVariability / 10);
+
+    const round = (value) => Math.round(value * 100) / 100;
+
+    return {
+      global,
+      terrainFactor: round(terrainFactor),
+      seasonFactor: round(seasonFactor),
+      effective: round(global * terrainFactor * seasonFactor),
+    };
+  }
+
   /**
    * Initialize calculation details object
    * @private
    * @param {Object} terrain - Terrain data
    * @param {Object} savedState - Previous weather state
    * @param {number} variability - Weather variability
+   * @param {Object} settingsData - Full campaign settings data
    * @returns {Object} Initialized details object
    */
-  static _initializeDetails(terrain, savedState, variability) {
+  static _initializeDetails(terrain, savedState, variability, settingsData) {
     return {
       terrain: {
         name: terrain.name,
-        baseTemp: terrain.temperature,
-        baseWind: terrain.wind,
-        basePrecip: terrain.precipitation,
-        baseHumid: terrain.humidity,
+        base: WeatherDimensions.getBaseline(terrain, settingsData),
       },
       previous: savedState
-        ? {
-            temp: savedState.temperature,
-            wind: savedState.wind,
-            precip: savedState.precipitation,
-            humid: savedState.humidity,
-          }
+        ? WeatherDimensions.pick(savedState, settingsData, null)
         : null,
       variability,
     };
@@ -118,57 +353,160 @@ export class WeatherCalculator {
   
   /**
    * Calculate base weather values with randomization
+   * Each dimension reverts toward the terrain baseline; its persistence sets
+   * how much of the previous deviation from the baseline carries over.
    * @private
    * @param {Object} terrain - Terrain data
    * @param {Object} savedState - Previous weather state
    * @param {number} variability - Weather variability
+   * @param {SeededRandom} rng - Random source
+   * @param {Object} persistence - Persistence per dimension (0-1)
+   * @param {Object} settingsData - Full campaign settings data
    * @returns {Object} Base values and random factors
    */
-  static _calculateBaseValues(terrain, savedState, variability) {
+  static _calculateBaseValues(
+    terrain,
+    savedState,
+    variability,
+    rng,
+    persistence,
+    settingsData
+  ) {
     // Generate random factors
-    const randomFactors = this._generateRandomFactors(variability);
-    
-    // Apply terrain baseline with random variation
-    const temperature = Math.round(terrain.temperature + randomFactors.temp);
-    
-    const wind = Math.round(
-      (terrain.wind + (savedState?.wind ?? terrain.wind)) / 2 + randomFactors.wind
+    const randomFactors = this._generateRandomFactors(
+      variability,
+      rng,
+      settingsData
     );
-    
-    const precipitation = Math.round(
-      (terrain.precipitation + (savedState?.precipitation ?? terrain.precipitation)) / 2 + 
-      randomFactors.precip
+
+    // Persist the previous pre-modifier values; older states only have final values
+    const previous = savedState?.base || savedState;
+    const baseline = WeatherDimensions.getBaseline(terrain, settingsData);
+    const values = {};
+
+    for (const [key, base] of Object.entries(baseline)) {
+      const last = previous?.[key] ?? base;
+      values[key] = WeatherDimensions.clamp(
+        key,
+        base + (persistence[key] ?? 0) * (last - base) + randomFactors[key],
+        settingsData
+      );
+    }
+
+    return { values, randomFactors };
+  }
+
+  /**
+   * Get how strongly each dimension persists between updates
+   * 0 reverts fully to the terrain baseline every update, 1 never reverts.
+   * Dimensions may declare a default, campaign settings may set a
+   * `persistence` object, and terrains may override individual dimensions.
+   * @param {Object} terrain - Terrain data
+   * @param {Object} settingsData - Full campaign settings data
+   * @returns {Object} Persistence per dimension
+   */
+  static getPersistence(terrain, settingsData) {
+    const persistence = {};
+
+    for (const dimension of WeatherDimensions.getAll(settingsData)) {
+      const value = Number(
+        terrain?.persistence?.[dimension.key] ??
+          settingsData?.persistence?.[dimension.key] ??
+          dimension.persistence
+      );
+      persistence[dimension.key] = Number.isFinite(value)
+        ? Math.max(0, Math.min(1, value))
+        : 0;
+    }
+
+    return persistence;
+  }
+  
+  /**
+   * Calculate base values from a committed forecast entry
+   * The forecast error adds noise on top of the forecast entry's base values;
+   * time and season modifiers are applied afterwards as for any update.
+   * @private
+   * @param {Object} entry - Forecast entry
+   * @param {number} forecastError - Forecast error (0-10)
+   * @param {SeededRandom} rng - Random source
+   * @param {Object} settingsData - Full campaign settings data
+   * @returns {Object} Base values and random factors
+   */
+  static _calculateForecastValues(entry, forecastError, rng, settingsData) {
+    const randomFactors = this._generateRandomFactors(
+      forecastError,
+      rng,
+      settingsData
     );
-    
-    const humidity = Math.round(
-      (terrain.humidity + (savedState?.humidity ?? terrain.humidity)) / 2 +
-      randomFactors.humid
+    const values = {};
+
+    for (const key of WeatherDimensions.getKeys(settingsData)) {
+      values[key] = WeatherDimensions.clamp(
+        key,
+        (entry.base?.[key] ?? 0) + randomFactors[key],
+        settingsData
+      );
+    }
+
+    return { values, randomFactors };
+  }
+
+  /**
+   * Get the committed forecast entry covering a point in time
+   * Each entry covers the span from its own time until the next entry.
+   * @param {Object} forecast - Committed forecast from the weather state
+   * @param {number} time - Timestamp to look up
+   * @param {string} [terrainKey] - Current terrain; forecasts for other terrains are ignored
+   * @returns {Object|null} Forecast entry or null if none applies
+   */
+  static getDueForecastEntry(forecast, time, terrainKey = null) {
+    if (!forecast?.entries?.length) return null;
+    if (terrainKey && forecast.terrain && forecast.terrain !== terrainKey) {
+      return null;
+    }
+
+    return (
+      forecast.entries.find(
+        (entry) => time >= entry.time && time < entry.until
+      ) || null
     );
-    
-    return {
-      values: {
-        temp: temperature,
-        wind: wind,
-        precip: precipitation,
-        humid: humidity,
-      },
-      randomFactors
-    };
   }
-  
+
+  /**
+   * Drop forecast entries that have fully passed
+   * @private
+   * @param {Object} forecast - Committed forecast from the weather state
+   * @param {number} time - Current timestamp
+   * @returns {Object|null} Remaining forecast or null if nothing remains
+   */
+  static _getRemainingForecast(forecast, time) {
+    if (!forecast?.entries?.length) return null;
+
+    const entries = forecast.entries.filter((entry) => entry.until > time);
+    return entries.length ? { ...forecast, entries } : null;
+  }
+
   /**
    * Generate random factors based on variability
+   * Each dimension's randomScale sets its share of the variability, which is
+   * stretched to the width of the dimension's range.
    * @private
    * @param {number} variability - Weather variability
-   * @returns {Object} Random factors
+   * @param {SeededRandom} rng - Random source
+   * @param {Object} settingsData - Full campaign settings data
+   * @returns {Object} Random factors keyed by dimension
    */
-  static _generateRandomFactors(variability) {
-    return {
-      temp: ((Math.random() * 2 - 1) * variability) / 4,
-      wind: ((Math.random() * 2 - 1) * variability) / 2,
-      precip: ((Math.random() * 2 - 1) * variability) / 2,
-      humid: ((Math.random() * 2 - 1) * variability) / 2,
-    };
+  static _generateRandomFactors(variability, rng, settingsData) {
+    const factors = {};
+    for (const dimension of WeatherDimensions.getAll(settingsData)) {
+      factors[dimension.key] =
+        rng.signed() *
+        variability *
+        (Number(dimension.randomScale) || 0) *
+        WeatherDimensions.getSpanFactor(dimension.key, settingsData);
+    }
+    return factors;
   }
   
   /**
@@ -180,54 +518,99 @@ export class WeatherCalculator {
    */
   static _getSeasonModifiers(seasonKey, settingsData) {
     const season = settingsData?.seasons?.[seasonKey];
-    return (
-      season?.modifiers || {
-        temperature: 0,
-        wind: 0,
-        precipitation: 0,
-        humidity: 0,
-        variability: 0,
-      }
-    );
+    return season?.modifiers || {};
   }
   
+  /**
+   * Apply the campaign's coupling rules to final values
+   * Rules run in order, each seeing the results of the ones before it. A rule
+   * applies when every dimension in `when` is within its min/max; it then
+   * shifts dimensions by `adjust` and clamps them to `limit`.
+   * @private
+   * @param {Object} values - Final values keyed by dimension, updated in place
+   * @param {Object[]} [rules] - Coupling rules from the campaign settings
+   * @param {Object} settingsData - Full campaign settings data
+   * @returns {Object[]} Adjustments made, each with description, dimension, from and to
+   */
+  static _applyCoupling(values, rules, settingsData) {
+    const adjustments = [];
+    if (!Array.isArray(rules)) return adjustments;
+
+    const keys = WeatherDimensions.getKeys(settingsData);
+    const inRange = (value, range = {}) =>
+      (range.min === undefined || value >= range.min) &&
+      (range.max === undefined || value <= range.max);
+
+    for (const rule of rules) {
+      const conditions = Object.entries(rule.when || {});
+      const applies = conditions.every(
+        ([dimension, range]) =>
+          keys.includes(dimension) && inRange(values[dimension], range)
+      );
+      if (!applies) continue;
+
+      const targets = new Set([
+        ...Object.keys(rule.adjust || {}),
+        ...Object.keys(rule.limit || {}),
+      ]);
+      for (const dimension of targets) {
+        if (!keys.includes(dimension)) continue;
+
+        const from = values[dimension];
+        let to = from + (Number(rule.adjust?.[dimension]) || 0);
+        const limit = rule.limit?.[dimension] || {};
+        if (limit.min !== undefined) to = Math.max(limit.min, to);
+        if (limit.max !== undefined) to = Math.min(limit.max, to);
+        to = WeatherDimensions.clamp(dimension, to, settingsData);
+
+        if (to !== from) {
+          values[dimension] = to;
+          adjustments.push({
+            description: rule.description || "Coupling rule",
+            dimension,
+            from,
+            to,
+          });
+        }
+      }
+    }
+
+    return adjustments;
+  }
+
   /**
    * Apply modifiers to base values
    * @private
-   * @param {Object} baseValues - Base weather values
+   * @param {Object} baseValues - Base weather values keyed by dimension
    * @param {Object} timeModifiers - Time modifiers
    * @param {Object} seasonModifiers - Season modifiers
+   * @param {Object} settingsData - Full campaign settings data
+   * @param {Object} [frontModifiers] - Modifiers from active weather fronts
+   * @param {Object} [climateModifiers] - Modifiers from the year's climate
    * @returns {Object} Final values
    */
-  static _applyModifiers(baseValues, timeModifiers, seasonModifiers) {
-    // Apply time and season modifiers
-    const finalTemp = 
-      baseValues.temp + 
-      (timeModifiers.temperature || 0) + 
-      (seasonModifiers.temperature || 0);
-    
-    const finalWind = 
-      baseValues.wind + 
-      (timeModifiers.wind || 0) + 
-      (seasonModifiers.wind || 0);
-    
-    const finalPrecip = 
-      baseValues.precip + 
-      (timeModifiers.precipitation || 0) + 
-      (seasonModifiers.precipitation || 0);
-    
-    const finalHumid = 
-      baseValues.humid + 
-      (timeModifiers.humidity || 0) + 
-      (seasonModifiers.humidity || 0);
-    
-    // Clamp values between -10 and 10
-    return {
-      temp: Math.max(-10, Math.min(10, finalTemp)),
-      wind: Math.max(-10, Math.min(10, finalWind)),
-      precip: Math.max(-10, Math.min(10, finalPrecip)),
-      humid: Math.max(-10, Math.min(10, finalHumid)),
-    };
+  static _applyModifiers(
+    baseValues,
+    timeModifiers,
+    seasonModifiers,
+    settingsData,
+    frontModifiers = {},
+    climateModifiers = {}
+  ) {
+    const finalValues = {};
+
+    for (const [key, value] of Object.entries(baseValues)) {
+      // Apply time, season, front and climate modifiers, clamped to the dimension's range
+      const modified =
+        value +
+        (timeModifiers[key] || 0) +
+        (seasonModifiers[key] || 0) +
+        (frontModifiers[key] || 0) +
+        (climateModifiers[key] || 0);
+      finalValues[key] = WeatherDimensions.clamp(key, modified, settingsData);
+    }
+
+    return finalValues;
   }
   
   /**
@@ -238,16 +621,7 @@ export class WeatherCalculator {
    * @returns {Object} Terrain time modifiers
    */
   static _getTerrainTimeModifiers(timePeriod, terrain) {
-    if (!terrain?.timeModifiers?.[timePeriod]) {
-      return {
-        temperature: 0,
-        wind: 0,
-        precipitation: 0,
-        humidity: 0
-      };
-    }
-    
-    return terrain.timeModifiers[timePeriod];
+    return terrain?.timeModifiers?.[timePeriod] || {};
   }
   
   /**
@@ -262,83 +636,103 @@ export class WeatherCalculator {
   
   /**
    * Generate a weather forecast
+   * Each entry is calculated with the same pipeline as a live update, at a
+   * fixed hour of each forecast day, using the season and time period that
+   * will apply at that moment. The weather state's locks hold in every entry
+   * until they expire.
    * @param {Object} params - Forecast parameters 
    * @param {Object} params.terrain - Current terrain
    * @param {Object} params.weatherState - Current weather state
    * @param {number} params.variability - Weather variability
-   * @param {number} params.days - Number of days to forecast
-   * @returns {Array<Object>} Array of forecast days
+   * @param {Object} params.settingsData - Full campaign settings data
+   * @param {number} [params.days] - Number of days to forecast, including today
+   * @param {number} [params.startTime] - Timestamp the forecast is issued at (defaults to now)
+   * @param {SeededRandom} [params.rng] - Random source (defaults to a fork of the weather state's sequence)
+   * @returns {Array<Object>} Forecast entries in chronological order
    */
   static generateForecast(params) {
-    const { terrain, weatherState, variability, days = 5 } = params;
-    
-    // Generate forecast days
-    const forecast = [];
-    
-    // Use current weather as starting point
-    let previousWeather = weatherState;
-    
-    for (let i = 0; i < days; i++) {
+    const { terrain, weatherState, variability, settingsData, days = 5 } = params;
+    const rng = params.rng || this.createRandom(weatherState).fork("forecast");
+    const startTime = params.startTime ?? TimeUtils.getCurrentTimestamp();
+
+    const slots = this._getForecastSlots(startTime, days, settingsData);
+    const entries = [];
+
+    // Use current weather as starting point; the forecast must not consume itself
+    let previousWeather = { ...weatherState, forecast: null };
+
+    slots.forEach((slot, index) => {
+      if (index === slots.length - 1) return;
+
       // Apply increasing randomness for each day in the future
-      const dayVariability = variability * (1 + i * 0.2); 
-      
-      // Generate random factors for this day
-      const randTemp = ((Math.random() * 2 - 1) * dayVariability) / 4;
-      const randWind = ((Math.random() * 2 - 1) * dayVariability) / 2;
-      const randPrecip = ((Math.random() * 2 - 1) * dayVariability) / 2;
-      const randHumid = ((Math.random() * 2 - 1) * dayVariability) / 2;
-      
-      // Calculate new weather values using previous day as base
-      const dayWeather = {
-        temperature: Math.max(-10, Math.min(10, Math.round(
-          (terrain.temperature + previousWeather.temperature) / 2 + randTemp
-        ))),
-        wind: Math.max(-10, Math.min(10, Math.round(
-          (terrain.wind + previousWeather.wind) / 2 + randWind
-        ))),
-        precipitation: Math.max(-10, Math.min(10, Math.round(
-          (terrain.precipitation + previousWeather.precipitation) / 2 + randPrecip
-        ))),
-        humidity: Math.max(-10, Math.min(10, Math.round(
-          (terrain.humidity + previousWeather.humidity) / 2 + randHumid
-        ))),
-        day: i + 1
-      };
-      
-      // Add day to forecast
-      forecast.push(dayWeather);
-      
-      // Use this day as base for next day
-      previousWeather = dayWeather;
-    }
-    
-    return forecast;
+      const dayVariability = variability * (1 + (slot.day - 1) * 0.2);
+      const season =
+        TimeUtils.getSeasonAt(slot.time) ||
+        previousWeather.season ||
+        weatherState.season;
+
+      const result = this.calculateWeatherChanges({
+        terrain,
+        savedState: previousWeather,
+        variability: dayVariability,
+        currentSeason: season,
+        settingsData,
+        rng,
+        currentTime: slot.time,
+      });
+
+      const { weatherState: slotWeather, details } = result;
+      entries.push({
+        day: slot.day,
+        hour: slot.hour,
+        time: slot.time,
+        until: slots[index + 1].time,
+        timePeriod: details.timePeriod,
+        season,
+        base: details.intermediate,
+        ...WeatherDimensions.pick(slotWeather, settingsData),
+        events: slotWeather.events,
+        fronts: slotWeather.fronts,
+        windVector: slotWeather.windVector,
+        precipitationType: slotWeather.precipitationType,
+      });
+
+      // Use this entry as base for the next one
+      previousWeather = { ...previousWeather, ...slotWeather, forecast: null };
+    });
+
+    return entries;
   }
-  
+
   /**
-   * Create change indicators between weather states
-   * @param {Object} current - Current weather value
-   * @param {Object} previous - Previous weather value
-   * @param {string} type - Value type (temp, wind, precip, humid)
-   * @returns {string} Change indicator text
+   * Get the points in time a forecast is calculated for
+   * Includes the remaining slots of today plus one slot past the end, which
+   * marks when the final entry stops applying.
+   * @private
+   * @param {number} startTime - Timestamp the forecast is issued at
+   * @param {number} days - Number of days to forecast, including today
+   * @param {Object} settingsData - Campaign settings data
+   * @returns {Array<Object>} Slots with day, hour and time
    */
-  static getChangeIndicator(current, previous, type) {
-    if (!previous) return "";
-    
-    const diff = current - previous;
-    if (Math.abs(diff) < 0.5) return "";
-    
-    switch (type) {
-      case "temp":
-        return diff > 0 ? " (warmer)" : " (cooler)";
-      case "wind":
-        return diff > 0 ? " (windier)" : " (calmer)";
-      case "precip":
-        return diff > 0 ? " (wetter)" : " (drier)";
-      case "humid":
-        return diff > 0 ? " (more humid)" : " (less humid)";
-      default:
-        return "";
+  static _getForecastSlots(startTime, days, settingsData) {
+    const hours = (settingsData?.forecastHours || this.DEFAULT_FORECAST_HOURS)
+      .map(Number)
+      .sort((a, b) => a - b);
+    const dayLength = TimeUtils.getDayLength();
+    const hourLength = TimeUtils.getHourLength();
+    const today = TimeUtils.getStartOfDay(startTime);
+
+    const slots = [];
+    for (let day = 1; day <= days + 1; day++) {
+      for (const hour of hours) {
+        const time = today + (day - 1) * dayLength + hour * hourLength;
+        if (time < startTime) continue;
+        slots.push({ day, hour, time });
+      }
     }
+
+    // Keep the first slot past the final day as the end marker
+    const lastIndex = slots.findIndex((slot) => slot.day > days);
+    return lastIndex === -1 ? slots : slots.slice(0, lastIndex + 1);
   }
-}
\ No newline at end of file
+}
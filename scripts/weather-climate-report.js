@@ -0,0 +1,375 @@
+/**
+ * Dimensional Weather - Climate Reports
+ * Rolls the weather of every terrain, season and time period many times over
+ * and sums up how it turns out, so campaign authors can tune their settings
+ * from the numbers instead of by guesswork. Runs in Foundry and in Node.
+ */
+
+import { SeededRandom } from "./utils.js";
+import { TimeUtils } from "./time-utils.js";
+import { WeatherCalculator } from "./weather-calculator.js";
+import { WeatherDimensions } from "./weather-dimensions.js";
+import { WeatherEvents } from "./weather-events.js";
+import { WeatherFronts } from "./weather-fronts.js";
+import { WeatherGround } from "./weather-ground.js";
+import { WeatherPrecipitation } from "./weather-precipitation.js";
+
+export class WeatherClimateReport {
+  /**
+   * Rolls per terrain, season and time period when a report does not ask for a number
+   * @type {number}
+   */
+  static DEFAULT_SAMPLES = 1000;
+
+  /**
+   * Rolls made before sampling starts, so the weather has moved away from
+   * the terrain baseline it starts at
+   * @type {number}
+   */
+  static WARMUP = 10;
+
+  /**
+   * Share of rolls stuck at a dimension's limit worth warning about
+   * @type {number}
+   */
+  static SATURATION_WARNING = 0.05;
+
+  /**
+   * Most rolls per terrain, season and time period a report run in Foundry
+   * may ask for; larger reports belong to the Node script
+   * @type {number}
+   */
+  static MAX_CLIENT_SAMPLES = 500;
+
+  /**
+   * Rolls made between pauses when a report is generated in chunks
+   * @type {number}
+   */
+  static CHUNK_SIZE = 50;
+
+  /**
+   * Generate a climate report
+   * Each terrain, season and time period gets its own run of daily updates
+   * at that time of day, from a seed so the same report can be generated again.
+   * @param {Object} settingsData - Campaign settings data
+   * @param {Object} [options] - Report options
+   * @param {string[]} [options.terrains] - Terrain keys, defaults to every terrain
+   * @param {string[]} [options.seasons] - Season keys, defaults to every season
+   * @param {number} [options.samples] - Rolls per terrain, season and time period
+   * @param {number} [options.variability] - Weather variability (0-10)
+   * @param {string} [options.seed] - Seed the rolls are made from
+   * @returns {Object} campaign, samples, variability, seed, time periods and a summary per terrain, season and time period
+   */
+  static generate(settingsData, options = {}) {
+    const runs = this._generateRuns(settingsData, options);
+    let step = runs.next();
+    while (!step.done) step = runs.next();
+    return step.value;
+  }
+
+  /**
+   * Generate a climate report a chunk of rolls at a time, pausing between
+   * chunks so the Foundry client keeps responding while it runs
+   * @param {Object} settingsData - Campaign settings data
+   * @param {Object} [options] - Report options, as for generate()
+   * @returns {Promise<Object>} Report, as from generate()
+   */
+  static async generateInChunks(settingsData, options = {}) {
+    const runs = this._generateRuns(settingsData, options);
+    let step = runs.next();
+    while (!step.done) {
+      await new Promise((resolve) => setTimeout(resolve, 0));
+      step = runs.next();
+    }
+    return step.value;
+  }
+
+  /**
+   * Roll a climate report, yielding after every chunk of rolls
+   * @private
+   * @param {Object} settingsData - Campaign settings data
+   * @param {Object} options - Report options, as for generate()
+   * @returns {Generator<void, Object>} Generator returning the report
+   */
+  static *_generateRuns(settingsData, options) {
+    const samples = Math.max(
+      1,
+      Math.round(Number(options.samples ?? this.DEFAULT_SAMPLES)) || this.DEFAULT_SAMPLES
+    );
+    const variability = Number(options.variability ?? 5);
+    const seed = String(options.seed ?? "climate-report");
+    const terrains = (options.terrains ?? Object.keys(settingsData?.terrains || {})).filter(
+      (key) => Object.hasOwn(settingsData?.terrains || {}, key)
+    );
+    const seasons = (options.seasons ?? Object.keys(settingsData?.seasons || {})).filter(
+      (key) => Object.hasOwn(settingsData?.seasons || {}, key)
+    );
+    const periods = this.getTimePeriods(settingsData);
+
+    const report = {
+      campaign: { id: settingsData?.id ?? null, name: settingsData?.name ?? null },
+      samples,
+      variability,
+      seed,
+      periods: periods.map((period) => period.name),
+      terrains: {},
+    };
+
+    for (const terrainKey of terrains) {
+      const terrain = { name: settingsData.terrains[terrainKey].name || terrainKey, seasons: {} };
+      for (const seasonKey of seasons) {
+        const season = { name: settingsData.seasons[seasonKey].name || seasonKey, periods: {} };
+        for (const period of periods) {
+          const outcomes = yield* this._simulate(settingsData, terrainKey, seasonKey, period, {
+            samples,
+            variability,
+            rng: new SeededRandom(`${seed}:${terrainKey}:${seasonKey}:${period.name}`),
+          });
+          season.periods[period.name] = this.summarize(outcomes, settingsData);
+        }
+        terrain.seasons[seasonKey] = season;
+      }
+      report.terrains[terrainKey] = terrain;
+    }
+
+    return report;
+  }
+
+  /**
+   * Get the time periods a report covers and the hour each is rolled at
+   * These are the periods the campaign defines time modifiers for, or the
+   * clock's own periods when it defines none. Each is rolled at the hour the
+   * campaign's `timePeriodHours` gives it, otherwise at the middle of the
+   * hours the clock gives it; periods neither names are spread evenly over
+   * the day.
+   * @param {Object} settingsData - Campaign settings data
+   * @returns {Object[]} Time periods with name and hour
+   */
+  static getTimePeriods(settingsData) {
+    const declared = settingsData?.timePeriodHours || {};
+    const hoursInDay = Math.round(TimeUtils.getDayLength() / TimeUtils.getHourLength());
+    const clock = {};
+    for (let hour = 0; hour < hoursInDay; hour++) {
+      const name = TimeUtils.getTimePeriodAt(this._getTimeAt(0, hour));
+      (clock[name] ||= []).push(hour);
+    }
+
+    const names = Object.keys(settingsData?.timeModifiers || {});
+    const periods = names.length ? names : Object.keys(clock);
+    return periods.map((name, index) => {
+      const hours = clock[name];
+      const hour = Number(declared[name]);
+      if (declared[name] !== undefined && Number.isFinite(hour)) {
+        return { name, hour: ((hour % hoursInDay) + hoursInDay) % hoursInDay };
+      }
+      return {
+        name,
+        hour: hours?.length
+          ? hours[Math.floor(hours.length / 2)]
+          : Math.floor(((index + 0.5) * hoursInDay) / periods.length),
+      };
+    });
+  }
+
+  /**
+   * Summarize how a set of weather states turned out
+   * @param {Object[]} outcomes - Weather states
+   * @param {Object} settingsData - Campaign settings data
+   * @returns {Object} samples; for each dimension min, max, mean, standard deviation, percentiles, counts per rounded value, description level shares and the shares stuck at its limits; and shares of precipitation types, events and triggered rules
+   */
+  static summarize(outcomes, settingsData) {
+    const share = (count) => Math.round((count / outcomes.length) * 1000) / 1000;
+    const tally = (keysOf) => {
+      const counts = {};
+      for (const outcome of outcomes) {
+        for (const key of new Set(keysOf(outcome))) {
+          counts[key] = (counts[key] || 0) + 1;
+        }
+      }
+      return Object.fromEntries(
+        Object.entries(counts).map(([key, count]) => [key, share(count)])
+      );
+    };
+
+    const dimensions = {};
+    for (const dimension of WeatherDimensions.getAll(settingsData)) {
+      const values = outcomes.map((outcome) => outcome[dimension.key]).sort((a, b) => a - b);
+      if (!values.length) {
+        dimensions[dimension.key] = null;
+        continue;
+      }
+
+      const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+      const variance =
+        values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / values.length;
+      const percentile = (p) =>
+        values[Math.min(values.length - 1, Math.floor((p / 100) * values.length))];
+      const counts = {};
+      for (const value of values) {
+        counts[Math.round(value)] = (counts[Math.round(value)] || 0) + 1;
+      }
+      const descriptions = dimension.descriptions || {};
+
+      dimensions[dimension.key] = {
+        min: values[0],
+        max: values[values.length - 1],
+        mean: Math.round(mean * 10) / 10,
+        stdDev: Math.round(Math.sqrt(variance) * 100) / 100,
+        percentiles: Object.fromEntries(
+          [5, 25, 50, 75, 95].map((p) => [p, percentile(p)])
+        ),
+        counts,
+        descriptions: Object.keys(descriptions).length
+          ? tally((outcome) => [
+              WeatherDimensions.roundToNextLevel(outcome[dimension.key], descriptions),
+            ])
+          : {},
+        saturation: {
+          min: share(values.filter((value) => value <= dimension.min).length),
+          max: share(values.filter((value) => value >= dimension.max).length),
+        },
+      };
+    }
+
+    return {
+      samples: outcomes.length,
+      dimensions,
+      precipitationTypes: tally((outcome) => [outcome.precipitationType ?? "none"]),
+      events: tally((outcome) => [
+        ...(outcome.events || []).map((event) => event.key),
+        ...(outcome.fronts || []).map((front) => front.key),
+      ]),
+      rules: tally((outcome) =>
+        [
+          ...WeatherDimensions.getTriggeredRules(outcome, settingsData),
+          ...WeatherGround.getTriggeredRules(outcome, settingsData),
+        ].map((rule) => rule.description)
+      ),
+    };
+  }
+
+  /**
+   * Render a climate report as HTML for chat or a journal
+   * Each time period lists every dimension's average and 5th to 95th
+   * percentile, what falls, and the rules and limits it hits most.
+   * @param {Object} report - Report from generate()
+   * @param {Object} settingsData - Campaign settings data
+   * @returns {string} Report HTML
+   */
+  static render(report, settingsData) {
+    const percent = (value) => `${Math.round(value * 100)}%`;
+    const shares = (entries, nameOf = (key) => key) =>
+      Object.entries(entries)
+        .sort((a, b) => b[1] - a[1])
+        .map(([key, value]) => `${nameOf(key)} ${percent(value)}`)
+        .join(", ");
+
+    const renderPeriod = (name, summary) => {
+      const values = WeatherDimensions.getAll(settingsData)
+        .filter((dimension) => summary.dimensions[dimension.key])
+        .map((dimension) => {
+          const { mean, percentiles } = summary.dimensions[dimension.key];
+          return `${dimension.name} ${mean} (${percentiles[5]} to ${percentiles[95]})`;
+        })
+        .join(", ");
+      const saturated = WeatherDimensions.getAll(settingsData)
+        .flatMap((dimension) => {
+          const saturation = summary.dimensions[dimension.key]?.saturation || {};
+          return ["min", "max"]
+            .filter((limit) => saturation[limit] >= this.SATURATION_WARNING)
+            .map((limit) => `${dimension.name} at ${limit} ${percent(saturation[limit])}`);
+        })
+        .join(", ");
+      const types = shares(summary.precipitationTypes, (key) =>
+        key === "none" ? "none" : WeatherPrecipitation.get(key, settingsData)?.name ?? key
+      );
+      const events = shares(
+        summary.events,
+        (key) =>
+          WeatherEvents.get(key, settingsData)?.name ??
+          WeatherFronts.get(key, settingsData)?.name ??
+          key
+      );
+      const rules = shares(summary.rules);
+
+      return `<li><strong>${name}:</strong> ${values}${types ? `; falling: ${types}` : ""}${
+        events ? `; events: ${events}` : ""
+      }${rules ? `; rules: ${rules}` : ""}${saturated ? `; <em>saturated: ${saturated}</em>` : ""}</li>`;
+    };
+
+    const terrains = Object.values(report.terrains)
+      .map(
+        (terrain) => `<h4>${terrain.name}</h4>${Object.values(terrain.seasons)
+          .map(
+            (season) => `<p><strong>${season.name}</strong></p>
+      <ul>${Object.entries(season.periods)
+        .map(([name, summary]) => renderPeriod(name, summary))
+        .join("")}</ul>`
+          )
+          .join("")}`
+      )
+      .join("");
+
+    return `<div class="weather-report${report.campaign.id ? ` campaign-${report.campaign.id}` : ""}">
+      <h3>CLIMATE REPORT${report.campaign.name ? `: ${report.campaign.name}` : ""}</h3>
+      <p>${report.samples} rolls per season and time period at variability ${report.variability} (seed ${report.seed}). Values show the average and the 5th to 95th percentile.</p>
+      ${terrains}
+    </div>`;
+  }
+
+  /**
+   * Roll one terrain, season and time period's weather day after day
+   * @private
+   * @param {Object} settingsData - Campaign settings data
+   * @param {string} terrainKey - Terrain key
+   * @param {string} seasonKey - Season key
+   * @param {Object} period - Time period with name and hour
+   * @param {Object} options - Run options
+   * @param {number} options.samples - Rolls to keep
+   * @param {number} options.variability - Weather variability
+   * @param {SeededRandom} options.rng - Random source
+   * @returns {Generator<void, Object[]>} Generator returning the weather states after the warm-up
+   */
+  static *_simulate(settingsData, terrainKey, seasonKey, period, options) {
+    const { samples, variability, rng } = options;
+    const terrain = settingsData.terrains[terrainKey];
+    let state = {
+      ...WeatherDimensions.getBaseline(terrain, settingsData),
+      terrain: terrainKey,
+      season: seasonKey,
+    };
+
+    const outcomes = [];
+    for (let day = 0; day < this.WARMUP + samples; day++) {
+      const { weatherState } = WeatherCalculator.calculateWeatherChanges({
+        terrain,
+        savedState: state,
+        variability,
+        currentSeason: seasonKey,
+        settingsData,
+        rng,
+        currentTime: this._getTimeAt(day, period.hour),
+        timePeriod: period.name,
+      });
+      state = weatherState;
+      if (day >= this.WARMUP) outcomes.push(weatherState);
+      if ((day + 1) % this.CHUNK_SIZE === 0) yield;
+    }
+    return outcomes;
+  }
+
+  /**
+   * Get the timestamp of an hour on a day counted from the first midnight
+   * of the calendar
+   * @private
+   * @param {number} day - Day number
+   * @param {number} hour - Hour of the day
+   * @returns {number} Timestamp
+   */
+  static _getTimeAt(day, hour) {
+    const hourLength = TimeUtils.getHourLength();
+    const dayLength = TimeUtils.getDayLength();
+    const midnight = ((dayLength - TimeUtils.getHourAt(0) * hourLength) % dayLength + dayLength) % dayLength;
+    return midnight + day * dayLength + hour * hourLength;
+  }
+}
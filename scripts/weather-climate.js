@@ -0,0 +1,297 @@
+/**
+ * Dimensional Weather - Climate Anomalies
+ * Gives each calendar year its own climate, such as drought years or harsh
+ * winters, and runs multi-year cycles, adding a slow-moving offset on top of
+ * the seasonal weather
+ */
+
+import { TimeUtils } from "./time-utils.js";
+import { SeededRandom } from "./utils.js";
+import { WeatherDimensions } from "./weather-dimensions.js";
+
+export class WeatherClimate {
+  /**
+   * Chance a year is anomalous when the campaign does not declare one
+   * @type {number}
+   */
+  static DEFAULT_CHANCE = 0.3;
+
+  /**
+   * Get every anomaly a campaign setting defines
+   * @param {Object} settingsData - Campaign settings data
+   * @returns {Object[]} Anomaly definitions, each with its key
+   */
+  static getAll(settingsData) {
+    return Object.keys(settingsData?.climate?.anomalies || {}).map((key) =>
+      this.get(key, settingsData)
+    );
+  }
+
+  /**
+   * Get an anomaly definition
+   * @param {string} key - Anomaly key
+   * @param {Object} settingsData - Campaign settings data
+   * @returns {Object|null} Anomaly definition or null if unknown
+   */
+  static get(key, settingsData) {
+    const anomaly = settingsData?.climate?.anomalies?.[key];
+    if (!anomaly) return null;
+
+    return {
+      description: "",
+      weight: 1,
+      modifiers: {},
+      seasons: {},
+      ...anomaly,
+      key,
+      name: anomaly.name || key,
+    };
+  }
+
+  /**
+   * Resolve an anomaly from its key or name
+   * "normal" resolves to itself, meaning a year without an anomaly.
+   * @param {string} input - Name to resolve
+   * @param {Object} settingsData - Campaign settings data
+   * @returns {string|null} Anomaly key, "normal", or null if unknown
+   */
+  static resolve(input, settingsData) {
+    const normalize = (value) =>
+      String(value ?? "").toLowerCase().replace(/[^a-z0-9]/g, "");
+    const wanted = normalize(input);
+    if (!wanted) return null;
+    if (wanted === "normal") return "normal";
+
+    const match = this.getAll(settingsData).find(
+      (anomaly) => normalize(anomaly.key) === wanted || normalize(anomaly.name) === wanted
+    );
+    return match?.key ?? null;
+  }
+
+  /**
+   * Get the anomalies GMs have set by hand
+   * @returns {Object} pinned anomaly key (or null) and anomaly keys keyed by year
+   */
+  static getOverrides() {
+    try {
+      const overrides = game.settings.get("dimensional-weather", "climateOverrides");
+      return { pinned: overrides?.pinned ?? null, years: { ...overrides?.years } };
+    } catch (error) {
+      return { pinned: null, years: {} };
+    }
+  }
+
+  /**
+   * Get the anomaly a calendar year has
+   * A pinned anomaly applies to every year, then any anomaly set for the
+   * year, otherwise the year's anomaly is rolled from the world seed.
+   * @param {number} year - Calendar year
+   * @param {Object} settingsData - Campaign settings data
+   * @returns {Object} Anomaly definition (or null for a normal year) and its source ("pinned", "override" or "rolled")
+   */
+  static getAnomaly(year, settingsData) {
+    const overrides = this.getOverrides();
+    const chosen = overrides.pinned ?? overrides.years[year];
+    if (chosen) {
+      return {
+        anomaly: chosen === "normal" ? null : this.get(chosen, settingsData),
+        source: overrides.pinned ? "pinned" : "override",
+      };
+    }
+
+    return { anomaly: this._roll(year, settingsData), source: "rolled" };
+  }
+
+  /**
+   * Get the climate offset at a point in time
+   * A year's anomaly applies in full through the middle of the year and
+   * blends with the neighbouring years' towards its edges; cycles follow a
+   * wave over their period in years.
+   * @param {number} time - Timestamp
+   * @param {string} seasonKey - Current season key
+   * @param {Object} settingsData - Campaign settings data
+   * @returns {Object|null} year, anomaly, source, cycles and modifiers keyed by dimension, or null if the campaign defines no climate
+   */
+  static getModifiers(time, seasonKey, settingsData) {
+    const climate = settingsData?.climate;
+    if (!climate?.anomalies && !climate?.cycles) return null;
+
+    const position = TimeUtils.getYearPosition(time) || {
+      year: TimeUtils.getYearAt(time),
+      progress: 0.5,
+    };
+    const { year, progress } = position;
+    const { anomaly, source } = this.getAnomaly(year, settingsData);
+
+    const current = this._getAnomalyModifiers(anomaly, seasonKey, settingsData);
+    const previous = this._getAnomalyModifiers(
+      this.getAnomaly(year - 1, settingsData).anomaly,
+      seasonKey,
+      settingsData
+    );
+    const next = this._getAnomalyModifiers(
+      this.getAnomaly(year + 1, settingsData).anomaly,
+      seasonKey,
+      settingsData
+    );
+    const cycles = this.getCycles(year + progress, settingsData);
+
+    const modifiers = {};
+    for (const key of WeatherDimensions.getKeys(settingsData)) {
+      let value = current[key];
+      if (progress < 0.25) {
+        value = current[key] + ((previous[key] - current[key]) / 2) * (1 - progress / 0.25);
+      } else if (progress > 0.75) {
+        value = current[key] + ((next[key] - current[key]) / 2) * ((progress - 0.75) / 0.25);
+      }
+      value += cycles.reduce((sum, cycle) => sum + (cycle.modifiers[key] || 0), 0);
+      modifiers[key] = Math.round(value * 100) / 100;
+    }
+
+    return { year, progress, anomaly, source, cycles, modifiers };
+  }
+
+  /**
+   * Get the strength of each climate cycle at a point in years
+   * @param {number} years - Calendar year, including the fraction of the year passed
+   * @param {Object} settingsData - Campaign settings data
+   * @returns {Object[]} Cycles with name, strength (-1 to 1) and scaled modifiers
+   */
+  static getCycles(years, settingsData) {
+    return (settingsData?.climate?.cycles || [])
+      .filter((cycle) => Number(cycle?.period) > 0)
+      .map((cycle) => {
+        const phase = (years + (Number(cycle.offset) || 0)) / Number(cycle.period);
+        const strength = Math.round(Math.sin(2 * Math.PI * phase) * 100) / 100;
+        const modifiers = {};
+        for (const [key, value] of Object.entries(cycle.modifiers || {})) {
+          modifiers[key] = (Number(value) || 0) * strength;
+        }
+        return { name: cycle.name || "Climate Cycle", strength, modifiers };
+      });
+  }
+
+  /**
+   * Summarize a calendar year's climate for GMs
+   * @param {number} year - Calendar year
+   * @param {Object} settingsData - Campaign settings data
+   * @returns {Object} year, anomaly, source, cycles at mid-year and the offset each season gets
+   */
+  static getSummary(year, settingsData) {
+    const { anomaly, source } = this.getAnomaly(year, settingsData);
+    const seasons = Object.entries(settingsData?.seasons || {}).map(([key, season]) => {
+      const modifiers = this._getAnomalyModifiers(anomaly, key, settingsData);
+      return { key, name: season?.name || key, modifiers };
+    });
+
+    return {
+      year,
+      anomaly,
+      source,
+      cycles: this.getCycles(year + 0.5, settingsData),
+      seasons,
+    };
+  }
+
+  /**
+   * Check a campaign setting's climate for dimensions and seasons it does not define
+   * @param {Object} settingsData - Campaign settings data
+   * @returns {string[]} Problems found
+   */
+  static validate(settingsData) {
+    const problems = [];
+    const dimensions = WeatherDimensions.getKeys(settingsData);
+    const unknownDimensions = (modifiers) =>
+      Object.keys(modifiers || {}).filter((key) => !dimensions.includes(key));
+
+    for (const anomaly of this.getAll(settingsData)) {
+      const unknown = [
+        ...unknownDimensions(anomaly.modifiers),
+        ...Object.values(anomaly.seasons || {}).flatMap(unknownDimensions),
+      ];
+      if (unknown.length) {
+        problems.push(`Climate anomaly ${anomaly.name}: unknown dimensions ${[...new Set(unknown)].join(", ")}`);
+      }
+
+      const unknownSeasons = Object.keys(anomaly.seasons || {}).filter(
+        (key) => !settingsData?.seasons?.[key]
+      );
+      if (unknownSeasons.length) {
+        problems.push(`Climate anomaly ${anomaly.name}: unknown seasons ${unknownSeasons.join(", ")}`);
+      }
+    }
+
+    for (const cycle of settingsData?.climate?.cycles || []) {
+      if (!(Number(cycle?.period) > 0)) {
+        problems.push(`Climate cycle ${cycle?.name || "(unnamed)"}: period must be a positive number of years`);
+      }
+      const unknown = unknownDimensions(cycle?.modifiers);
+      if (unknown.length) {
+        problems.push(`Climate cycle ${cycle?.name || "(unnamed)"}: unknown dimensions ${unknown.join(", ")}`);
+      }
+    }
+
+    return problems;
+  }
+
+  /**
+   * Roll a calendar year's anomaly from the world seed
+   * The same world, campaign and year always roll the same anomaly.
+   * @private
+   * @param {number} year - Calendar year
+   * @param {Object} settingsData - Campaign settings data
+   * @returns {Object|null} Anomaly definition, or null for a normal year
+   */
+  static _roll(year, settingsData) {
+    const anomalies = this.getAll(settingsData).filter(
+      (anomaly) => Number(anomaly.weight) > 0
+    );
+    if (!anomalies.length) return null;
+
+    const rng = new SeededRandom(
+      `${this._getWorldSeed()}:climate:${settingsData?.id ?? ""}:${year}`
+    );
+    const chance = Number(settingsData.climate.chance ?? this.DEFAULT_CHANCE);
+    if (rng.next() >= chance) return null;
+
+    const total = anomalies.reduce((sum, anomaly) => sum + Number(anomaly.weight), 0);
+    let roll = rng.next() * total;
+    for (const anomaly of anomalies) {
+      roll -= Number(anomaly.weight);
+      if (roll < 0) return anomaly;
+    }
+    return anomalies[anomalies.length - 1];
+  }
+
+  /**
+   * Get the seed climate rolls are made from
+   * @private
+   * @returns {string} The world's weather seed, or the world ID when none is set
+   */
+  static _getWorldSeed() {
+    try {
+      const seed = String(game.settings.get("dimensional-weather", "weatherSeed") ?? "").trim();
+      return seed || game.world?.id || "";
+    } catch (error) {
+      return "";
+    }
+  }
+
+  /**
+   * Get an anomaly's modifiers in a season
+   * @private
+   * @param {Object|null} anomaly - Anomaly definition, or null for a normal year
+   * @param {string} seasonKey - Season key
+   * @param {Object} settingsData - Campaign settings data
+   * @returns {Object} Modifiers keyed by dimension
+   */
+  static _getAnomalyModifiers(anomaly, seasonKey, settingsData) {
+    const base = WeatherDimensions.pick(anomaly?.modifiers, settingsData);
+    const seasonal = WeatherDimensions.pick(anomaly?.seasons?.[seasonKey], settingsData);
+    const modifiers = {};
+    for (const key of Object.keys(base)) {
+      modifiers[key] = (Number(base[key]) || 0) + (Number(seasonal[key]) || 0);
+    }
+    return modifiers;
+  }
+}
@@ -0,0 +1,466 @@
+/**
+ * Dimensional Weather - Weather Dimensions
+ * Describes the dimensions a campaign setting tracks and how to present them
+ */
+
+import { WeatherUnits } from "./weather-units.js";
+import { WeatherWind } from "./weather-wind.js";
+
+export class WeatherDimensions {
+  /**
+   * Built-in dimensions, used when a campaign setting does not declare its
+   * own and as defaults for the matching keys when it does
+   * @type {Object}
+   */
+  static DEFAULTS = {
+    temperature: {
+      name: "Temperature",
+      label: "Heat",
+      aliases: ["temp", "heat"],
+      randomScale: 0.25,
+      persistence: 0,
+      changeWords: ["warmer", "cooler"],
+    },
+    wind: {
+      name: "Wind",
+      aliases: [],
+      randomScale: 0.5,
+      persistence: 0.5,
+      changeWords: ["windier", "calmer"],
+    },
+    precipitation: {
+      name: "Precipitation",
+      aliases: ["precip", "rain"],
+      randomScale: 0.5,
+      persistence: 0.5,
+      changeWords: ["wetter", "drier"],
+    },
+    humidity: {
+      name: "Humidity",
+      aliases: ["humid"],
+      randomScale: 0.5,
+      persistence: 0.5,
+      changeWords: ["more humid", "less humid"],
+    },
+  };
+
+  /**
+   * Scale dimensions use unless they declare their own min, max and step
+   * @type {Object}
+   */
+  static DEFAULT_SCALE = { min: -10, max: 10, step: 1 };
+
+  /**
+   * Legacy rule keys and the comparison each one implies
+   * @type {Object}
+   */
+  static LEGACY_RULE_KEYS = {
+    extremeHeat: "min",
+    extremeCold: "max",
+    strongWind: "min",
+    heavyPrecipitation: "min",
+  };
+
+  /**
+   * Get the keys of every dimension a campaign setting tracks
+   * @param {Object} settingsData - Campaign settings data
+   * @returns {string[]} Dimension keys in declaration order
+   */
+  static getKeys(settingsData) {
+    const declared = settingsData?.weatherDimensions;
+    if (declared && Object.keys(declared).length) {
+      return Object.keys(declared);
+    }
+    return Object.keys(this.DEFAULTS);
+  }
+
+  /**
+   * Get a dimension's definition merged with the built-in defaults
+   * @param {string} key - Dimension key
+   * @param {Object} settingsData - Campaign settings data
+   * @returns {Object} Dimension definition
+   */
+  static get(key, settingsData) {
+    const defaults = this.DEFAULTS[key] || {};
+    const declared = settingsData?.weatherDimensions?.[key] || {};
+    const name = declared.name || defaults.name || this._formatKey(key);
+
+    return {
+      min: this.DEFAULT_SCALE.min,
+      max: this.DEFAULT_SCALE.max,
+      step: this.DEFAULT_SCALE.step,
+      randomScale: 0.5,
+      persistence: 0.5,
+      default: 0,
+      changeWords: [],
+      ...defaults,
+      ...declared,
+      key,
+      name,
+      label: declared.label || declared.name || defaults.label || name,
+      aliases: [...(defaults.aliases || []), ...(declared.aliases || [])],
+    };
+  }
+
+  /**
+   * Get every dimension a campaign setting tracks
+   * @param {Object} settingsData - Campaign settings data
+   * @returns {Object[]} Dimension definitions
+   */
+  static getAll(settingsData) {
+    return this.getKeys(settingsData).map((key) => this.get(key, settingsData));
+  }
+
+  /**
+   * Resolve a dimension from its key, name or one of its aliases
+   * @param {string} input - Name to resolve
+   * @param {Object} settingsData - Campaign settings data
+   * @returns {string|null} Dimension key or null if unknown
+   */
+  static resolve(input, settingsData) {
+    const wanted = this._normalize(input);
+    if (!wanted) return null;
+
+    const match = this.getAll(settingsData).find(
+      (dimension) =>
+        [dimension.key, dimension.name, dimension.label, ...dimension.aliases]
+          .map((name) => this._normalize(name))
+          .includes(wanted)
+    );
+    return match?.key ?? null;
+  }
+
+  /**
+   * Get the baseline value a terrain sets for each dimension
+   * @param {Object} terrain - Terrain data
+   * @param {Object} settingsData - Campaign settings data
+   * @returns {Object} Baseline values keyed by dimension
+   */
+  static getBaseline(terrain, settingsData) {
+    const baseline = {};
+    for (const dimension of this.getAll(settingsData)) {
+      baseline[dimension.key] = Number(terrain?.[dimension.key] ?? dimension.default) || 0;
+    }
+    return baseline;
+  }
+
+  /**
+   * Clamp a value to a dimension's range and snap it to the dimension's step
+   * @param {string} key - Dimension key
+   * @param {number} value - Value to clamp
+   * @param {Object} settingsData - Campaign settings data
+   * @returns {number} Clamped value
+   */
+  static clamp(key, value, settingsData) {
+    const { min, max, step } = this.get(key, settingsData);
+    const bounded = Math.max(min, Math.min(max, Number(value) || 0));
+    if (!(step > 0)) return bounded;
+
+    // Snap relative to min so ranges like 0.5..9.5 keep their offset
+    const decimals = (String(step).split(".")[1] || "").length;
+    const snapped = min + Math.round((bounded - min) / step) * step;
+    return Number(Math.min(max, snapped).toFixed(decimals));
+  }
+
+  /**
+   * Get how wide a dimension's range is relative to the default -10..10 scale
+   * Random variation is scaled by this so variability means the same on any scale.
+   * @param {string} key - Dimension key
+   * @param {Object} settingsData - Campaign settings data
+   * @returns {number} Range width divided by 20
+   */
+  static getSpanFactor(key, settingsData) {
+    const { min, max } = this.get(key, settingsData);
+    const defaultSpan = this.DEFAULT_SCALE.max - this.DEFAULT_SCALE.min;
+    return (max - min) / defaultSpan;
+  }
+
+  /**
+   * Check that a value is a number within a dimension's range
+   * @param {string} key - Dimension key
+   * @param {number} value - Value to check
+   * @param {Object} settingsData - Campaign settings data
+   * @returns {string|null} Problem description, or null if the value is valid
+   */
+  static validateValue(key, value, settingsData) {
+    const { name, min, max } = this.get(key, settingsData);
+    const number = Number(value);
+    if (value === null || value === "" || !Number.isFinite(number)) {
+      return `${name} must be a number`;
+    }
+    if (number < min || number > max) {
+      return `${name} must be between ${min} and ${max}`;
+    }
+    return null;
+  }
+
+  /**
+   * Check a campaign setting's dimensions for inconsistent scales
+   * Reports ranges that are empty, steps that are not positive, unknown unit
+   * quantities, and description levels, unit levels, rule thresholds or terrain
+   * baselines that fall outside the range.
+   * @param {Object} settingsData - Campaign settings data
+   * @returns {string[]} Problems found
+   */
+  static validate(settingsData) {
+    const problems = [];
+
+    for (const dimension of this.getAll(settingsData)) {
+      const { key, name, min, max, step } = dimension;
+      if (![min, max, step].every(Number.isFinite)) {
+        problems.push(`${name}: min, max and step must be numbers`);
+        continue;
+      }
+      if (min >= max) problems.push(`${name}: min (${min}) must be below max (${max})`);
+      if (step <= 0) problems.push(`${name}: step must be positive`);
+
+      const outside = (value) => Number(value) < min || Number(value) > max;
+      const levels = Object.keys(dimension.descriptions || {}).filter(outside);
+      if (levels.length) {
+        problems.push(`${name}: description levels ${levels.join(", ")} are outside ${min}..${max}`);
+      }
+
+      for (const rule of Array.isArray(dimension.rules) ? dimension.rules : []) {
+        if (typeof rule !== "object") continue;
+        const thresholds = ["min", "max", ...Object.keys(this.LEGACY_RULE_KEYS)]
+          .map((bound) => rule[bound])
+          .filter((value) => value !== undefined);
+        if (thresholds.some(outside)) {
+          problems.push(`${name}: rule "${rule.description || rule.effect}" has a threshold outside ${min}..${max}`);
+        }
+      }
+
+      const unitLevels = Object.keys(dimension.units?.levels || {}).filter(outside);
+      if (unitLevels.length) {
+        problems.push(`${name}: unit levels ${unitLevels.join(", ")} are outside ${min}..${max}`);
+      }
+      if (dimension.units && !WeatherUnits.QUANTITIES[dimension.units.quantity]) {
+        problems.push(`${name}: unknown unit quantity "${dimension.units.quantity}"`);
+      }
+
+      for (const [terrainKey, terrain] of Object.entries(settingsData?.terrains || {})) {
+        if (terrain?.[key] !== undefined && outside(terrain[key])) {
+          problems.push(`${name}: terrain ${terrainKey} baseline ${terrain[key]} is outside ${min}..${max}`);
+        }
+      }
+    }
+
+    return problems;
+  }
+
+  /**
+   * Pick the dimension values out of a weather state or modifier object
+   * @param {Object} source - Object holding values keyed by dimension
+   * @param {Object} settingsData - Campaign settings data
+   * @param {number} [fallback=0] - Value for dimensions the source lacks
+   * @returns {Object} Values keyed by dimension
+   */
+  static pick(source, settingsData, fallback = 0) {
+    const values = {};
+    for (const key of this.getKeys(settingsData)) {
+      values[key] = source?.[key] ?? fallback;
+    }
+    return values;
+  }
+
+  /**
+   * Format dimension values inline, e.g. "Temperature 3 (104 °F), Wind -1"
+   * Dimensions mapped to real-world units show their measurement.
+   * @param {Object} values - Values keyed by dimension
+   * @param {Object} settingsData - Campaign settings data
+   * @returns {string} Formatted values
+   */
+  static formatInline(values, settingsData) {
+    return this.getAll(settingsData)
+      .map((dimension) => {
+        const value = values?.[dimension.key] ?? 0;
+        return `${dimension.name} ${value}${WeatherUnits.formatSuffix(
+          dimension.key,
+          value,
+          settingsData
+        )}`;
+      })
+      .join(", ");
+  }
+
+  /**
+   * Format dimension values as HTML list items, with measurements for
+   * dimensions mapped to real-world units
+   * @param {Object} values - Values keyed by dimension
+   * @param {Object} settingsData - Campaign settings data
+   * @returns {string} List item HTML
+   */
+  static formatListItems(values, settingsData) {
+    return this.getAll(settingsData)
+      .map((dimension) => {
+        const value = values?.[dimension.key] ?? 0;
+        return `<li>${dimension.name}: ${value}${WeatherUnits.formatSuffix(
+          dimension.key,
+          value,
+          settingsData
+        )}</li>`;
+      })
+      .join("");
+  }
+
+  /**
+   * Get the description for a dimension value
+   * @param {string} key - Dimension key
+   * @param {number} value - Dimension value
+   * @param {Object} settingsData - Campaign settings data
+   * @returns {string} Description text
+   */
+  static describe(key, value, settingsData) {
+    const dimension = this.get(key, settingsData);
+    const descriptions = dimension.descriptions;
+    if (!descriptions || !Object.keys(descriptions).length) {
+      return `Normal ${dimension.name.toLowerCase()}`;
+    }
+
+    const level = this.roundToNextLevel(value, descriptions);
+    return descriptions[level] || `Normal ${dimension.name.toLowerCase()}`;
+  }
+
+  /**
+   * Rounds a value to the next available level in the descriptions
+   * For positive numbers, rounds down. For negative numbers, rounds up.
+   * Levels may be any numbers, so the matching key is returned as written.
+   * @param {number} value - Value to round
+   * @param {Object} descriptions - Description mapping
+   * @returns {string} Description key of the level
+   */
+  static roundToNextLevel(value, descriptions) {
+    // Get all available levels and sort them
+    const levels = Object.keys(descriptions)
+      .map((key) => ({ key, level: Number(key) }))
+      .filter(({ level }) => Number.isFinite(level))
+      .sort((a, b) => a.level - b.level);
+    if (!levels.length) return Object.keys(descriptions)[0];
+
+    // For negative numbers, find the next higher level
+    if (value < 0) {
+      const higher = levels.find(({ level }) => value <= level);
+      if (higher) return higher.key;
+
+      // If no higher level found, return the highest negative level
+      const negLevels = levels.filter(({ level }) => level < 0);
+      return negLevels.length ? negLevels[negLevels.length - 1].key : levels[0].key;
+    }
+
+    // For positive numbers, find the next lower level
+    for (let i = levels.length - 1; i >= 0; i--) {
+      if (value >= levels[i].level) {
+        return levels[i].key;
+      }
+    }
+
+    // If no lower level found, return the lowest level
+    return levels[0].key;
+  }
+
+  /**
+   * Get the change indicator between two values of a dimension
+   * @param {string} key - Dimension key
+   * @param {number} current - Current value
+   * @param {number} previous - Previous value
+   * @param {Object} settingsData - Campaign settings data
+   * @returns {string} Change indicator text
+   */
+  static getChangeIndicator(key, current, previous, settingsData) {
+    if (previous === undefined || previous === null) return "";
+
+    const diff = current - previous;
+    if (Math.abs(diff) < 0.5) return "";
+
+    const [higher, lower] = this.get(key, settingsData).changeWords;
+    const word = diff > 0 ? higher || "higher" : lower || "lower";
+    return ` (${word})`;
+  }
+
+  /**
+   * Get every dimension rule the weather currently triggers
+   * A rule triggers when the value is at or above its `min` and at or below
+   * its `max`. The legacy extremeHeat, strongWind and heavyPrecipitation keys
+   * act as `min`, and extremeCold as `max`. Rules on the wind dimension can
+   * also test the wind's direction and gusts, and any rule can list the
+   * precipitation `types` it applies to.
+   * @param {Object} weatherState - Weather state
+   * @param {Object} settingsData - Campaign settings data
+   * @returns {Object[]} Triggered rules, each with dimension, description and effect
+   */
+  static getTriggeredRules(weatherState, settingsData) {
+    const triggered = [];
+
+    const windKey = WeatherWind.getDimension(settingsData);
+
+    for (const dimension of this.getAll(settingsData)) {
+      const value = weatherState?.[dimension.key];
+      if (value === undefined || !Array.isArray(dimension.rules)) continue;
+
+      for (const rule of dimension.rules) {
+        if (typeof rule !== "object" || !rule?.effect) continue;
+        const windRule = dimension.key === windKey && WeatherWind.hasConditions(rule);
+        const typeRule = Array.isArray(rule.types);
+        const applies =
+          this._ruleApplies(rule, value, windRule || typeRule) &&
+          (!windRule || WeatherWind.ruleApplies(rule, weatherState.windVector)) &&
+          (!typeRule || rule.types.includes(weatherState.precipitationType));
+        if (applies) {
+          triggered.push({
+            dimension: dimension.key,
+            description: rule.description || dimension.name,
+            effect: rule.effect,
+          });
+        }
+      }
+    }
+
+    return triggered;
+  }
+
+  /**
+   * Check whether a dimension rule applies to a value
+   * @private
+   * @param {Object} rule - Dimension rule
+   * @param {number} value - Dimension value
+   * @param {boolean} [unbounded] - Whether a rule without bounds applies
+   * @returns {boolean} True if the rule applies
+   */
+  static _ruleApplies(rule, value, unbounded = false) {
+    const bounds = { min: rule.min, max: rule.max };
+    for (const [legacyKey, bound] of Object.entries(this.LEGACY_RULE_KEYS)) {
+      if (rule[legacyKey] !== undefined) bounds[bound] = rule[legacyKey];
+    }
+
+    if (bounds.min === undefined && bounds.max === undefined) return unbounded;
+    return (
+      (bounds.min === undefined || value >= bounds.min) &&
+      (bounds.max === undefined || value <= bounds.max)
+    );
+  }
+
+  /**
+   * Normalize a dimension name for comparison
+   * @private
+   * @param {string} value - Name
+   * @returns {string} Normalized name
+   */
+  static _normalize(value) {
+    return String(value ?? "")
+      .toLowerCase()
+      .replace(/[^a-z0-9]/g, "");
+  }
+
+  /**
+   * Format a camelCase key as a title
+   * @private
+   * @param {string} key - Dimension key
+   * @returns {string} Title
+   */
+  static _formatKey(key) {
+    return key
+      .replace(/([A-Z])/g, " $1")
+      .trim()
+      .replace(/^./, (char) => char.toUpperCase());
+  }
+}
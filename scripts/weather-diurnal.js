@@ -0,0 +1,173 @@
+/**
+ * Dimensional Weather - Diurnal Curves
+ * Evaluates the continuous daily curves a campaign setting can define per
+ * dimension, so conditions follow the exact time of day rather than stepping
+ * between named time periods
+ */
+
+import { TimeUtils } from "./time-utils.js";
+import { WeatherDimensions } from "./weather-dimensions.js";
+
+export class WeatherDiurnal {
+  /**
+   * Sunrise hour used when a campaign does not declare one
+   * @type {number}
+   */
+  static DEFAULT_SUNRISE = 6;
+
+  /**
+   * Ways a curve can be described
+   * @type {string[]}
+   */
+  static CURVE_TYPES = ["keyframes", "sunrise", "sinusoid"];
+
+  /**
+   * Get the sunrise hour in a season
+   * `sunrise` is either an hour or a table of hours keyed by season, with
+   * `default` covering the seasons it does not list.
+   * @param {string} seasonKey - Current season key
+   * @param {Object} settingsData - Campaign settings data
+   * @returns {number} Hour of sunrise
+   */
+  static getSunrise(seasonKey, settingsData) {
+    const table = settingsData?.diurnal?.sunrise;
+    const hour =
+      table && typeof table === "object" ? table[seasonKey] ?? table.default : table;
+    const number = Number(hour);
+    return Number.isFinite(number) ? number : this.DEFAULT_SUNRISE;
+  }
+
+  /**
+   * Evaluate the campaign and terrain curves at a point in time
+   * Each curve replaces the named-period modifiers of its own level, so a
+   * campaign curve still combines with a terrain's named-period modifiers.
+   * Dimensions without a curve are left out of `campaign` and `terrain`.
+   * @param {Object} terrain - Terrain data
+   * @param {number} time - Timestamp
+   * @param {string} seasonKey - Current season key
+   * @param {Object} settingsData - Campaign settings data
+   * @returns {Object} hour of the day, and campaign and terrain modifiers keyed by dimension
+   */
+  static getModifiers(terrain, time, seasonKey, settingsData) {
+    const hour = TimeUtils.getHourAt(time);
+    const dimensions = WeatherDimensions.getKeys(settingsData);
+    const evaluateAll = (curves) => {
+      const modifiers = {};
+      for (const [key, curve] of Object.entries(curves || {})) {
+        if (!dimensions.includes(key) || !this._getType(curve)) continue;
+        const value = this.evaluate(curve, hour, seasonKey, settingsData);
+        modifiers[key] = Math.round(value * 100) / 100;
+      }
+      return modifiers;
+    };
+
+    return {
+      hour,
+      campaign: evaluateAll(settingsData?.diurnal?.curves),
+      terrain: evaluateAll(terrain?.diurnal?.curves),
+    };
+  }
+
+  /**
+   * Evaluate one curve at an hour of the day
+   * @param {Object} curve - Curve with keyframes, sunrise offsets or sinusoid parameters
+   * @param {number} hour - Hour of the day, including fractions
+   * @param {string} seasonKey - Current season key
+   * @param {Object} settingsData - Campaign settings data
+   * @returns {number} Modifier
+   */
+  static evaluate(curve, hour, seasonKey, settingsData) {
+    const hoursInDay = TimeUtils.getDayLength() / TimeUtils.getHourLength();
+
+    switch (this._getType(curve)) {
+      case "keyframes":
+        return this._interpolate(curve.keyframes, hour, hoursInDay);
+      case "sunrise": {
+        const sunrise = this.getSunrise(seasonKey, settingsData);
+        return this._interpolate(curve.sunrise, hour - sunrise, hoursInDay);
+      }
+      case "sinusoid": {
+        const { amplitude = 1, peak = hoursInDay / 2, offset = 0 } = curve.sinusoid;
+        const angle = (2 * Math.PI * (hour - Number(peak))) / hoursInDay;
+        return Number(offset) + Number(amplitude) * Math.cos(angle);
+      }
+      default:
+        return 0;
+    }
+  }
+
+  /**
+   * Check a campaign setting's curves for dimensions it does not define and
+   * curves it cannot evaluate
+   * @param {Object} settingsData - Campaign settings data
+   * @returns {string[]} Problems found
+   */
+  static validate(settingsData) {
+    const problems = [];
+    const dimensions = WeatherDimensions.getKeys(settingsData);
+    const sources = [
+      ["Diurnal curves", settingsData?.diurnal?.curves],
+      ...Object.entries(settingsData?.terrains || {}).map(([key, terrain]) => [
+        `Terrain ${terrain?.name || key} diurnal curves`,
+        terrain?.diurnal?.curves,
+      ]),
+    ];
+
+    for (const [label, curves] of sources) {
+      for (const [key, curve] of Object.entries(curves || {})) {
+        if (!dimensions.includes(key)) {
+          problems.push(`${label}: unknown dimension ${key}`);
+        } else if (!this._getType(curve)) {
+          problems.push(
+            `${label}: ${key} needs one of ${this.CURVE_TYPES.join(", ")}`
+          );
+        }
+      }
+    }
+
+    return problems;
+  }
+
+  /**
+   * Get how a curve is described
+   * @private
+   * @param {Object} curve - Curve definition
+   * @returns {string|null} Curve type or null if the curve has none
+   */
+  static _getType(curve) {
+    return (
+      this.CURVE_TYPES.find(
+        (type) => curve?.[type] && typeof curve[type] === "object"
+      ) || null
+    );
+  }
+
+  /**
+   * Interpolate between keyframes that repeat every day
+   * The last keyframe of a day blends into the first keyframe of the next.
+   * @private
+   * @param {Object} keyframes - Modifiers keyed by hour
+   * @param {number} hour - Hour to evaluate
+   * @param {number} hoursInDay - Hours in a calendar day
+   * @returns {number} Modifier
+   */
+  static _interpolate(keyframes, hour, hoursInDay) {
+    const wrap = (value) => ((value % hoursInDay) + hoursInDay) % hoursInDay;
+    const points = Object.entries(keyframes || {})
+      .map(([at, value]) => [wrap(Number(at)), Number(value)])
+      .filter(([at, value]) => Number.isFinite(at) && Number.isFinite(value))
+      .sort((a, b) => a[0] - b[0]);
+    if (!points.length) return 0;
+    if (points.length === 1) return points[0][1];
+
+    const time = wrap(hour);
+    const nextIndex = points.findIndex(([at]) => at > time);
+    const next = nextIndex === -1 ? points[0] : points[nextIndex];
+    const previous =
+      nextIndex === -1 || nextIndex === 0 ? points[points.length - 1] : points[nextIndex - 1];
+
+    const span = wrap(next[0] - previous[0]) || hoursInDay;
+    const fraction = wrap(time - previous[0]) / span;
+    return previous[1] + fraction * (next[1] - previous[1]);
+  }
+}
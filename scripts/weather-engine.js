@@ -4,9 +4,19 @@
  */
 
 import { Settings } from "./settings.js";
-import { ErrorHandler, DebugLogger } from "./utils.js";
+import { ErrorHandler, DebugLogger, SeededRandom } from "./utils.js";
 import { TimeUtils } from "./time-utils.js";
 import { WeatherCalculator } from "./weather-calculator.js";
+import { WeatherClimateReport } from "./weather-climate-report.js";
+import { WeatherDimensions } from "./weather-dimensions.js";
+import { WeatherUnits } from "./weather-units.js";
+import { WeatherEvents } from "./weather-events.js";
+import { WeatherFronts } from "./weather-fronts.js";
+import { WeatherGround } from "./weather-ground.js";
+import { WeatherLocks } from "./weather-locks.js";
+import { WeatherPrecipitation } from "./weather-precipitation.js";
+import { WeatherPresets } from "./weather-presets.js";
+import { WeatherWind } from "./weather-wind.js";
 import { SceneManager } from "./scene-manager.js";
 import { SceneConfiguration } from "./scene-config.js";
 
@@ -20,6 +30,7 @@ export class WeatherEngine {
     this._lastCalculation = null;
     this._calculationHistoryLimit = 5;
     this._calculationHistory = [];
+    this._previewSampleLimit = 1000;
   }
 
   /**
@@ -94,12 +105,11 @@ export class WeatherEngine {
 
       // Initialize weather state using terrain data
       const initialState = {
-        temperature: terrainData.temperature,
-        wind: terrainData.wind,
-        precipitation: terrainData.precipitation,
-        humidity: terrainData.humidity,
+        ...WeatherDimensions.getBaseline(terrainData, this.settingsData),
         terrain: terrain,
         season: season,
+        seed: this.resolveSeed(scene),
+        step: 0,
       };
 
       // Initialize weather state in scene flags
@@ -202,16 +212,17 @@ export class WeatherEngine {
         return null;
       }
 
-      // Get variability setting
-      const weatherVariability = Settings.getSetting("variability");
+      // Scenes created before seeding was introduced get a seed on first update
+      const rng = new SeededRandom(
+        weatherState.seed ?? this.resolveSeed(scene),
+        weatherState.step ?? 0
+      );
 
-      // Calculate new weather
-      const result = WeatherCalculator.calculateWeatherChanges({
+      const result = this._calculateUpdate(weatherState, {
         terrain,
-        savedState: weatherState,
-        variability: weatherVariability,
-        currentSeason,
-        settingsData: this.settingsData,
+        season: currentSeason,
+        variability: Settings.getSetting("variability"),
+        rng,
       });
 
       // Store calculation details
@@ -220,6 +231,7 @@ export class WeatherEngine {
 
       // Update weather state
       await SceneManager.updateWeatherState(result.weatherState, scene);
+      await this._recordHistory(result.weatherState, result.details, scene);
 
       return result.weatherState;
     } catch (error) {
@@ -228,12 +240,243 @@ export class WeatherEngine {
     }
   }
 
+  /**
+   * Preview the next weather update without committing it
+   * The next update is calculated exactly as `/weather update` would roll it
+   * now, then `samples` alternative rolls from the same starting point show
+   * how likely each outcome is. A terrain other than the scene's starts from
+   * its baseline, as switching terrain does. Nothing is written to the scene.
+   * @param {Object} [options] - Preview options
+   * @param {string} [options.terrain] - Terrain key, defaults to the terrain the next update uses
+   * @param {string} [options.season] - Season key, defaults to the current season
+   * @param {number} [options.variability] - Weather variability, defaults to the setting
+   * @param {number} [options.samples] - Alternative rolls for the distribution (0 for none)
+   * @param {Scene} [options.scene] - Scene to preview, defaults to the viewed scene
+   * @returns {Object|null} terrain, season, variability, current values, the next update's weather state and details, and the distribution, or null on failure
+   */
+  previewUpdate(options = {}) {
+    const scene = options.scene || game.scenes.viewed;
+    const weatherState = SceneManager.getWeatherState(scene);
+    if (!weatherState) {
+      ErrorHandler.logAndNotify("No weather to preview for this scene", null, true);
+      return null;
+    }
+
+    const terrainKey =
+      options.terrain ??
+      (SceneConfiguration.getSceneTerrain(scene) || Settings.getSetting("terrain"));
+    const terrain = this.settingsData?.terrains?.[terrainKey];
+    if (!terrain) {
+      ErrorHandler.logAndNotify(`Unknown terrain: ${terrainKey}`, null, true);
+      return null;
+    }
+
+    const season =
+      options.season ??
+      (this._determineCurrentSeason(weatherState) || weatherState.season);
+    if (!this.settingsData.seasons?.[season]) {
+      ErrorHandler.logAndNotify(`Unknown season: ${season}`, null, true);
+      return null;
+    }
+
+    const variability = Number(
+      options.variability ?? Settings.getSetting("variability")
+    );
+    const samples = Math.max(
+      0,
+      Math.min(this._previewSampleLimit, Math.round(Number(options.samples ?? 100)) || 0)
+    );
+
+    const startState =
+      terrainKey === weatherState.terrain
+        ? weatherState
+        : {
+            ...weatherState,
+            ...WeatherDimensions.getBaseline(terrain, this.settingsData),
+            base: null,
+            terrain: terrainKey,
+          };
+    const rng = new SeededRandom(
+      weatherState.seed ?? this.resolveSeed(scene),
+      weatherState.step ?? 0
+    );
+    const calculate = (random) =>
+      this._calculateUpdate(startState, { terrain, season, variability, rng: random });
+
+    const next = calculate(new SeededRandom(rng.seed, rng.step));
+    const outcomes = [];
+    for (let i = 0; i < samples; i++) {
+      outcomes.push(calculate(rng.fork(`preview:${i}`)).weatherState);
+    }
+
+    return {
+      terrain: terrainKey,
+      season,
+      variability,
+      current: WeatherDimensions.pick(weatherState, this.settingsData),
+      next,
+      distribution: WeatherClimateReport.summarize(outcomes, this.settingsData),
+    };
+  }
+
+  /**
+   * Calculate the update a weather state gets at the current time
+   * Steps through any intervals missed during a time skip first. Nothing is
+   * written to the scene.
+   * @private
+   * @param {Object} weatherState - Saved weather state
+   * @param {Object} options - Calculation options
+   * @param {Object} options.terrain - Terrain data
+   * @param {string} options.season - Season key
+   * @param {number} options.variability - Weather variability
+   * @param {SeededRandom} options.rng - Random source
+   * @returns {Object} New weather state and calculation details
+   */
+  _calculateUpdate(weatherState, options) {
+    const { terrain, season, variability, rng } = options;
+    const calculationParams = {
+      terrain,
+      variability,
+      settingsData: this.settingsData,
+      rng,
+      forecastError: Settings.getSetting("forecastError"),
+    };
+
+    // Step through any update intervals missed during a time skip
+    const catchUp = this._simulateMissedUpdates(
+      weatherState,
+      terrain,
+      calculationParams
+    );
+    const savedState = catchUp
+      ? { ...weatherState, ...catchUp.weatherState }
+      : weatherState;
+
+    // Calculate new weather
+    const result = WeatherCalculator.calculateWeatherChanges({
+      ...calculationParams,
+      savedState,
+      currentSeason: season,
+    });
+
+    // Blend from the conditions players last saw into the new ones
+    const transitionHours = Number(Settings.getSetting("transitionDuration")) || 0;
+    result.weatherState.transition =
+      transitionHours > 0
+        ? {
+            from: WeatherDimensions.pick(savedState, this.settingsData),
+            start: result.weatherState.lastUpdate,
+            duration: transitionHours * TimeUtils.getHourLength(),
+          }
+        : null;
+
+    // Only the update that follows a time skip keeps its catch-up record
+    result.weatherState.catchUp = catchUp?.record ?? null;
+    if (catchUp) {
+      result.details.catchUp = {
+        simulated: catchUp.record.steps.length,
+        skipped: catchUp.record.skipped,
+      };
+    }
+
+    return result;
+  }
+
+  /**
+   * Simulate the update intervals that passed without an update
+   * The final interval is left to the regular update. Skips longer than the
+   * catch-up limit restart from the terrain baseline and only simulate the
+   * last intervals, since older weather has no bearing on the present.
+   * @private
+   * @param {Object} weatherState - Saved weather state
+   * @param {Object} terrain - Terrain data
+   * @param {Object} params - Shared calculation parameters
+   * @returns {Object|null} Final simulated state and catch-up record, or null when nothing was missed
+   */
+  _simulateMissedUpdates(weatherState, terrain, params) {
+    const lastUpdate = weatherState.lastUpdate;
+    const updateFrequency = Settings.getSetting("updateFrequency");
+    const missed = TimeUtils.getMissedUpdates(lastUpdate, updateFrequency);
+    if (missed < 2) return null;
+
+    const limit = Math.max(1, Settings.getSetting("catchUpLimit") || 1);
+    const intermediate = missed - 1;
+    const skipped = Math.max(0, intermediate - (limit - 1));
+    const interval = updateFrequency * TimeUtils.getHourLength();
+
+    let state = skipped
+      ? {
+          ...weatherState,
+          ...WeatherDimensions.getBaseline(terrain, this.settingsData),
+          base: null,
+        }
+      : weatherState;
+    const steps = [];
+
+    for (let k = skipped + 1; k <= intermediate; k++) {
+      const time = lastUpdate + k * interval;
+      const currentSeason =
+        TimeUtils.getSeasonAt(time) || state.season || weatherState.season;
+      const { weatherState: next, details } =
+        WeatherCalculator.calculateWeatherChanges({
+          ...params,
+          savedState: state,
+          currentSeason,
+          currentTime: time,
+        });
+
+      state = { ...state, ...next };
+      steps.push({
+        time,
+        timePeriod: details.timePeriod,
+        season: currentSeason,
+        ...WeatherDimensions.pick(next, this.settingsData),
+        events: next.events.map((event) => event.key),
+      });
+    }
+
+    DebugLogger.log(
+      "weather",
+      `Caught up ${steps.length} missed updates (${skipped} skipped)`
+    );
+
+    return {
+      weatherState: state,
+      record: {
+        from: lastUpdate,
+        to: TimeUtils.getCurrentTimestamp(),
+        missed,
+        skipped,
+        steps,
+      },
+    };
+  }
+
+  /**
+   * Resolve the seed a scene's weather should start from
+   * Uses the world seed combined with the scene ID when one is configured,
+   * otherwise a random seed.
+   * @param {Scene} scene - Scene to resolve the seed for
+   * @returns {string} Seed
+   */
+  resolveSeed(scene) {
+    const worldSeed = String(Settings.getSetting("weatherSeed") ?? "").trim();
+    if (worldSeed) {
+      return `${worldSeed}:${scene.id}`;
+    }
+    return SeededRandom.generateSeed();
+  }
+
   /**
    * Get the last weather calculation details
    * @returns {Object|null} Calculation details or null if no calculation performed
    */
   getLastCalculation() {
-    return this._lastCalculation;
+    return (
+      this._lastCalculation ??
+      SceneManager.getWeatherHistory().find((entry) => entry.details)?.details ??
+      null
+    );
   }
 
   /**
@@ -268,6 +511,47 @@ export class WeatherEngine {
     }
   }
 
+  /**
+   * Log a committed change in the scene's weather history
+   * @private
+   * @param {Object} weatherState - Weather state the change committed
+   * @param {Object|null} details - Calculation details, or null if nothing was calculated
+   * @param {Scene} scene - Scene that was changed
+   * @param {Object} [options] - Options
+   * @param {number} [options.time] - Timestamp of the change (defaults to the state's last update)
+   * @param {string} [options.source] - What made the change: "update", "manual" or "preset"
+   * @param {string} [options.preset] - Name of the preset applied
+   * @returns {Promise<boolean>} Success status, or false when the log is turned off
+   */
+  async _recordHistory(weatherState, details, scene, options = {}) {
+    const limit = Number(Settings.getSetting("historyLimit")) || 0;
+    if (limit <= 0) return false;
+
+    const time = options.time ?? weatherState.lastUpdate;
+    const named = (instances) =>
+      (instances || []).map(({ key, name }) => ({ key, name: name || key }));
+
+    return SceneManager.addWeatherHistory(
+      {
+        time,
+        date: TimeUtils.formatTimestamp(time),
+        values: WeatherDimensions.pick(weatherState, this.settingsData),
+        terrain: weatherState.terrain,
+        season: weatherState.season,
+        events: named(weatherState.events),
+        fronts: named(weatherState.fronts),
+        windVector: weatherState.windVector ?? null,
+        precipitationType: weatherState.precipitationType ?? null,
+        ground: { ...weatherState.ground },
+        source: options.source ?? "update",
+        preset: options.preset ?? null,
+        details,
+      },
+      limit,
+      scene
+    );
+  }
+
   /**
    * Determine current season based on Dark Sun Calendar or saved state
    * @private
@@ -318,51 +602,22 @@ export class WeatherEngine {
       });
     };
 
-    // Temperature-based rules
-    if (this.settingsData?.weatherDimensions?.temperature?.rules) {
-      const tempRules = this.settingsData.weatherDimensions.temperature.rules;
-      tempRules.forEach((rule) => {
-        if (
-          rule.extremeHeat !== undefined &&
-          weatherState.temperature >= rule.extremeHeat
-        ) {
-          addEffectBullets(rule.effect);
-        }
-        if (
-          rule.extremeCold !== undefined &&
-          weatherState.temperature <= rule.extremeCold
-        ) {
-          addEffectBullets(rule.effect);
-        }
-      });
-    }
+    // Dimension rules triggered by the current values
+    WeatherDimensions.getTriggeredRules(weatherState, this.settingsData).forEach(
+      (rule) => addEffectBullets(rule.effect)
+    );
 
-    // Wind-based rules
-    if (this.settingsData?.weatherDimensions?.wind?.rules) {
-      const windRules = this.settingsData.weatherDimensions.wind.rules;
-      windRules.forEach((rule) => {
-        if (
-          rule.strongWind !== undefined &&
-          weatherState.wind >= rule.strongWind
-        ) {
-          addEffectBullets(rule.effect);
-        }
-      });
-    }
+    // Ground rules triggered by what the weather left behind
+    WeatherGround.getTriggeredRules(weatherState, this.settingsData).forEach((rule) => {
+      if (rule.effect) addEffectBullets(rule.effect);
+    });
 
-    // Precipitation-based rules
-    if (this.settingsData?.weatherDimensions?.precipitation?.rules) {
-      const precipRules = this.settingsData.weatherDimensions.precipitation
-        .rules;
-      precipRules.forEach((rule) => {
-        if (
-          rule.heavyPrecipitation !== undefined &&
-          weatherState.precipitation >= rule.heavyPrecipitation
-        ) {
-          addEffectBullets(rule.effect);
-        }
+    // Rules attached to active weather events
+    WeatherEvents.getActive(weatherState, this.settingsData).forEach((event) => {
+      event.rules.forEach((rule) => {
+        rulesList += `<li><strong>${event.name}:</strong> ${rule}</li>`;
       });
-    }
+    });
 
     // Add terrain-specific rules
     const terrain = this.settingsData?.terrains?.[weatherState.terrain];
@@ -400,37 +655,355 @@ export class WeatherEngine {
     const atmosphericDesc =
       terrain?.description || "The landscape stretches before you.";
 
-    // Get weather dimension descriptions
-    const tempDesc = this._getDimensionDescription(
-      "temperature",
-      weatherState.temperature
+    // Describe every dimension the campaign tracks
+    const conditions = WeatherDimensions.getAll(this.settingsData)
+      .map(
+        (dimension) =>
+          `<p><strong>${dimension.label}:</strong> ${WeatherDimensions.describe(
+            dimension.key,
+            weatherState[dimension.key],
+            this.settingsData
+          )}</p>`
+      )
+      .join("\n");
+
+    // Format the weather conditions with appropriate styling
+    return `${atmosphericDesc}
+${conditions}`;
+  }
+
+  /**
+   * Get the forecast committed to a scene, generating and committing one if needed
+   * Committed forecasts are consumed by later weather updates, so the weather
+   * players were told about is the weather they get.
+   * @param {Object} [options] - Options
+   * @param {Scene} [options.scene] - Scene to forecast (uses viewed scene if not specified)
+   * @param {boolean} [options.regenerate] - Replace any existing committed forecast
+   * @returns {Promise<Object|null>} Committed forecast or null if unavailable
+   */
+  async getForecast(options = {}) {
+    const { regenerate = false } = options;
+    const scene = options.scene || game.scenes.viewed;
+
+    const weatherState = SceneManager.getWeatherState(scene);
+    if (!weatherState || !this.settingsData?.terrains) return null;
+
+    const existing = weatherState.forecast;
+    const currentTime = TimeUtils.getCurrentTimestamp();
+    const isCurrent =
+      existing?.entries?.length &&
+      existing.terrain === weatherState.terrain &&
+      existing.entries[existing.entries.length - 1].until > currentTime;
+
+    if (isCurrent && !regenerate) return existing;
+
+    const terrain =
+      this.settingsData.terrains[weatherState.terrain] ||
+      Object.values(this.settingsData.terrains)[0];
+    const revision = (existing?.revision ?? 0) + 1;
+
+    // Generate forecast using the calculator
+    const forecast = {
+      issuedAt: currentTime,
+      terrain: weatherState.terrain,
+      revision,
+      entries: WeatherCalculator.generateForecast({
+        terrain,
+        weatherState,
+        variability: Settings.getSetting("variability"),
+        settingsData: this.settingsData,
+        days: 5,
+        startTime: currentTime,
+        rng: WeatherCalculator.createRandom(weatherState).fork(
+          `forecast:${revision}`
+        ),
+      }),
+    };
+
+    // Only the GM can commit the forecast to the scene
+    if (game.user.isGM) {
+      await SceneManager.updateWeatherState(
+        { forecast, lastUpdate: weatherState.lastUpdate },
+        scene
+      );
+    }
+
+    return forecast;
+  }
+
+  /**
+   * Discard the forecast committed to a scene
+   * @param {Scene} [scene] - Scene to update (uses viewed scene if not specified)
+   * @returns {Promise<boolean>} Success status
+   */
+  async discardForecast(scene = null) {
+    const weatherState = SceneManager.getWeatherState(scene);
+    if (!weatherState) return false;
+
+    return SceneManager.updateWeatherState(
+      { forecast: null, lastUpdate: weatherState.lastUpdate },
+      scene
+    );
+  }
+  /**
+   * Send a weather front toward a scene
+   * Any committed forecast is discarded so the next one shows the front
+   * approaching. A front of the same kind already on its way is replaced.
+   * @param {string} key - Front key
+   * @param {Object} [options] - Options
+   * @param {Scene} [options.scene] - Scene to update (uses viewed scene if not specified)
+   * @param {boolean} [options.immediate] - Arrive at once instead of approaching
+   * @returns {Promise<Object|null>} Front instance, or null if it could not be spawned
+   */
+  async spawnFront(key, options = {}) {
+    const front = WeatherFronts.get(key, this.settingsData);
+    const weatherState = SceneManager.getWeatherState(options.scene);
+    if (!front || !weatherState) return null;
+
+    const now = TimeUtils.getCurrentTimestamp();
+    const rng = WeatherCalculator.createRandom(weatherState).fork(`front:${key}`);
+    const instance = WeatherFronts.create(front, now, rng, {
+      immediate: options.immediate,
+    });
+    const fronts = (weatherState.fronts || []).filter(
+      (current) => current.key !== key && current.end > now
     );
 
-    const windDesc = this._getDimensionDescription("wind", weatherState.wind);
+    const success = await SceneManager.updateWeatherState(
+      {
+        fronts: [...fronts, instance],
+        forecast: null,
+        lastUpdate: weatherState.lastUpdate,
+      },
+      options.scene
+    );
+    return success ? instance : null;
+  }
 
-    const precipDesc = this._getDimensionDescription(
-      "precipitation",
-      weatherState.precipitation
+  /**
+   * Remove every weather front from a scene
+   * @param {Scene} [scene] - Scene to update (uses viewed scene if not specified)
+   * @returns {Promise<boolean>} Success status
+   */
+  async clearFronts(scene = null) {
+    const weatherState = SceneManager.getWeatherState(scene);
+    if (!weatherState) return false;
+
+    return SceneManager.updateWeatherState(
+      { fronts: [], forecast: null, lastUpdate: weatherState.lastUpdate },
+      scene
     );
+  }
+
 
-    const humidDesc = this._getDimensionDescription(
-      "humidity",
-      weatherState.humidity
+  /**
+   * Set weather dimensions in a scene by hand
+   * The values apply at once, ending any update still blending in. Any
+   * committed forecast is discarded, and the change is logged in the scene's
+   * weather history.
+   * @param {Object} values - Valid values keyed by dimension
+   * @param {Scene} [scene] - Scene to update (uses viewed scene if not specified)
+   * @returns {Promise<Object|null>} Updated weather state, or null on failure
+   */
+  async setWeather(values, scene = null) {
+    const currentScene = scene || game.scenes.viewed;
+    const weatherState = SceneManager.getWeatherState(currentScene, { raw: true });
+    if (!weatherState) return null;
+
+    return this._commitChange(weatherState, values, {}, currentScene, { source: "manual" });
+  }
+
+  /**
+   * Apply a preset to a scene
+   * The preset's values, events and locks replace the scene's, as by hand.
+   * A preset with a terrain assigns it to the scene, so later updates keep it;
+   * a new terrain starts from its own baseline, so dimensions the preset
+   * leaves out and the base values later updates persist belong to it.
+   * @param {Object} preset - Preset from WeatherPresets
+   * @param {Scene} [scene] - Scene to update (uses viewed scene if not specified)
+   * @returns {Promise<Object|null>} Updated weather state, or null on failure
+   */
+  async applyPreset(preset, scene = null) {
+    const currentScene = scene || game.scenes.viewed;
+    const weatherState = SceneManager.getWeatherState(currentScene, { raw: true });
+    if (!weatherState) return null;
+
+    const now = TimeUtils.getCurrentTimestamp();
+    const rng = WeatherCalculator.createRandom(weatherState).fork(`preset:${preset.key}`);
+    const { terrain, values, events, locks } = WeatherPresets.build(
+      preset,
+      now,
+      rng,
+      this.settingsData
     );
 
-    // Format the weather conditions with appropriate styling
-    return `${atmosphericDesc}
-<p><strong>Heat:</strong> ${tempDesc}</p>
-<p><strong>Wind:</strong> ${windDesc}</p>
-<p><strong>Humidity:</strong> ${humidDesc}</p>
-<p><strong>Precipitation:</strong> ${precipDesc}</p>`;
+    let presetValues = values;
+    if (terrain && terrain !== weatherState.terrain) {
+      const assigned = await SceneConfiguration.setSceneTerrain(currentScene, terrain);
+      if (!assigned) return null;
+
+      presetValues = {
+        ...WeatherDimensions.getBaseline(this.settingsData.terrains[terrain], this.settingsData),
+        ...values,
+      };
+      WeatherLocks.apply(presetValues, locks);
+    }
+
+    return this._commitChange(
+      weatherState,
+      presetValues,
+      { terrain: terrain ?? weatherState.terrain, events, locks },
+      currentScene,
+      { source: "preset", preset: preset.name }
+    );
+  }
+
+  /**
+   * Commit weather changed by hand or by a preset
+   * The pre-modifier base values shift by the same amounts as the values so
+   * the next update carries on from the new weather, gusts move with the
+   * wind, and the precipitation type is worked out again. When the terrain
+   * changes, the old base values belong to the old terrain, so the base
+   * starts from the values given instead, as for a state without one.
+   * @private
+   * @param {Object} weatherState - Stored weather state
+   * @param {Object} values - Valid values keyed by dimension
+   * @param {Object} changes - Other state fields to replace, such as terrain, events or locks
+   * @param {Scene} scene - Scene to update
+   * @param {Object} history - Source and preset name for the weather history
+   * @returns {Promise<Object|null>} Updated weather state, or null on failure
+   */
+  async _commitChange(weatherState, values, changes, scene, history) {
+    const now = TimeUtils.getCurrentTimestamp();
+    const terrainChanged = changes.terrain && changes.terrain !== weatherState.terrain;
+    const base = terrainChanged
+      ? { ...values }
+      : { ...(weatherState.base || WeatherDimensions.pick(weatherState, this.settingsData)) };
+    if (!terrainChanged) {
+      for (const [key, value] of Object.entries(values)) {
+        const shift = value - (weatherState[key] ?? value);
+        base[key] = WeatherDimensions.clamp(
+          key,
+          (base[key] ?? weatherState[key] ?? value) + shift,
+          this.settingsData
+        );
+      }
+    }
+
+    const updated = { ...weatherState, ...changes, ...values };
+    const windKey = WeatherWind.getDimension(this.settingsData);
+    const windVector =
+      values[windKey] !== undefined && weatherState.windVector
+        ? {
+            ...weatherState.windVector,
+            gust: WeatherLocks.clamp(
+              windKey,
+              WeatherDimensions.clamp(
+                windKey,
+                Math.max(
+                  values[windKey],
+                  weatherState.windVector.gust + values[windKey] - (weatherState[windKey] ?? 0)
+                ),
+                this.settingsData
+              ),
+              WeatherLocks.getActive(updated.locks, now, this.settingsData)
+            ),
+          }
+        : weatherState.windVector ?? null;
+    const precipitationType = WeatherPrecipitation.derive({
+      values: updated,
+      terrainKey: updated.terrain,
+      season: updated.season,
+      events: updated.events,
+      settingsData: this.settingsData,
+    });
+
+    const updates = {
+      ...changes,
+      ...values,
+      base,
+      windVector,
+      precipitationType,
+      transition: null,
+      forecast: null,
+      lastUpdate: weatherState.lastUpdate,
+    };
+    const success = await SceneManager.updateWeatherState(updates, scene);
+    if (!success) return null;
+
+    const newState = { ...weatherState, ...updates };
+    await this._recordHistory(newState, null, scene, { ...history, time: now });
+    return newState;
+  }
+
+  /**
+   * Lock a weather dimension in a scene
+   * Replaces any lock already on the dimension and brings the current
+   * weather within it at once, including an update still blending in. Any
+   * committed forecast is discarded so the next one respects the lock.
+   * @param {Object} lock - Lock from WeatherLocks.create()
+   * @param {Scene} [scene] - Scene to update (uses viewed scene if not specified)
+   * @returns {Promise<boolean>} Success status
+   */
+  async setLock(lock, scene = null) {
+    const weatherState = SceneManager.getWeatherState(scene, { raw: true });
+    if (!weatherState) return false;
+
+    const key = lock.dimension;
+    const locks = [
+      ...WeatherLocks.getActive(
+        weatherState.locks,
+        TimeUtils.getCurrentTimestamp(),
+        this.settingsData
+      ).filter((current) => current.dimension !== key),
+      lock,
+    ];
+    const updates = { locks, forecast: null, lastUpdate: weatherState.lastUpdate };
+
+    if (typeof weatherState[key] === "number") {
+      updates[key] = WeatherLocks.clamp(key, weatherState[key], locks);
+    }
+    if (weatherState.transition?.from) {
+      const from = { ...weatherState.transition.from };
+      WeatherLocks.apply(from, [lock]);
+      updates.transition = { ...weatherState.transition, from };
+    }
+    if (key === WeatherWind.getDimension(this.settingsData) && weatherState.windVector) {
+      updates.windVector = {
+        ...weatherState.windVector,
+        gust: WeatherLocks.clamp(key, weatherState.windVector.gust, locks),
+      };
+    }
+
+    return SceneManager.updateWeatherState(updates, scene);
+  }
+
+  /**
+   * Release locked weather dimensions in a scene
+   * Any committed forecast is discarded so the next one lets them move again.
+   * @param {string|null} [key] - Dimension key, or null to release every lock
+   * @param {Scene} [scene] - Scene to update (uses viewed scene if not specified)
+   * @returns {Promise<boolean>} Success status
+   */
+  async clearLocks(key = null, scene = null) {
+    const weatherState = SceneManager.getWeatherState(scene, { raw: true });
+    if (!weatherState) return false;
+
+    const locks = key
+      ? (weatherState.locks || []).filter((lock) => lock.dimension !== key)
+      : [];
+    return SceneManager.updateWeatherState(
+      { locks, forecast: null, lastUpdate: weatherState.lastUpdate },
+      scene
+    );
   }
 
   /**
    * Generate a 5-day weather forecast
+   * @param {Object} [options] - Options passed to getForecast
    * @returns {string} Forecast HTML
    */
-  async generateForecast() {
+  async generateForecast(options = {}) {
     if (!this.settingsData) {
       return "Weather system is not initialized.";
     }
@@ -445,43 +1018,47 @@ export class WeatherEngine {
       this.settingsData.terrains[currentTerrain] ||
       Object.values(this.settingsData.terrains)[0];
 
-    const variability = Settings.getSetting("variability");
-
-    // Generate forecast using the calculator
-    const forecast = WeatherCalculator.generateForecast({
-      terrain,
-      weatherState,
-      variability,
-      days: 5,
-    });
+    const committed = await this.getForecast(options);
+    const forecast = committed?.entries || [];
 
     // Format the forecast
+    const dimensions = WeatherDimensions.getAll(this.settingsData);
+    const windKey = WeatherWind.getDimension(this.settingsData);
+    const precipitationKey = WeatherPrecipitation.getDimension(this.settingsData);
     const forecastText = forecast
       .map((day, index) => {
-        const dayNum = index + 1;
         const prevDay = index > 0 ? forecast[index - 1] : null;
-
-        return `Day ${dayNum}:
-Temperature: ${day.temperature}${WeatherCalculator.getChangeIndicator(
-          day.temperature,
-          prevDay?.temperature,
-          "temp"
-        )}
-Wind: ${day.wind}${WeatherCalculator.getChangeIndicator(
-          day.wind,
-          prevDay?.wind,
-          "wind"
-        )}
-Precipitation: ${day.precipitation}${WeatherCalculator.getChangeIndicator(
-          day.precipitation,
-          prevDay?.precipitation,
-          "precip"
-        )}
-Humidity: ${day.humidity}${WeatherCalculator.getChangeIndicator(
-          day.humidity,
-          prevDay?.humidity,
-          "humid"
-        )}`;
+        const lines = dimensions.map((dimension) => {
+          const units = WeatherUnits.format(
+            WeatherUnits.measure(dimension.key, day[dimension.key], this.settingsData)
+          );
+          const wind =
+            dimension.key === windKey
+              ? WeatherWind.describe(day.windVector, this.settingsData)
+              : "";
+          const type =
+            dimension.key === precipitationKey
+              ? WeatherPrecipitation.getType(day, this.settingsData)
+              : null;
+          return `${dimension.name}: ${day[dimension.key]}${
+            units ? ` (${units})` : ""
+          }${WeatherDimensions.getChangeIndicator(
+            dimension.key,
+            day[dimension.key],
+            prevDay?.[dimension.key],
+            this.settingsData
+          )}${type ? `, ${type.name.toLowerCase()}` : ""}${wind ? `, ${wind}` : ""}`;
+        });
+
+        const fronts = WeatherFronts.formatPhases(day.fronts, day.time, this.settingsData);
+        if (fronts) lines.push(`Fronts: ${fronts}`);
+        const events = WeatherEvents.formatNames(day.events, this.settingsData);
+        if (events) lines.push(`Events: ${events}`);
+
+        return [
+          `Day ${day.day}, ${day.timePeriod} (${this._getSeasonName(day.season)}):`,
+          ...lines,
+        ].join("\n");
       })
       .join("\n\n");
 
@@ -496,58 +1073,12 @@ ${forecastText}`;
   }
 
   /**
-   * Get a formatted dimension description
-   * @private
-   * @param {string} dimension - Dimension name
-   * @param {number} value - Dimension value
-   * @returns {string} Formatted description
-   */
-  _getDimensionDescription(dimension, value) {
-    if (!this.settingsData?.weatherDimensions?.[dimension]?.descriptions) {
-      return `Normal ${dimension}`;
-    }
-
-    const descriptions = this.settingsData.weatherDimensions[dimension]
-      .descriptions;
-    const level = this._roundToNextLevel(value, descriptions);
-
-    return descriptions[level] || `Normal ${dimension}`;
-  }
-
-  /**
-   * Rounds a value to the next available level in the descriptions
-   * For positive numbers, rounds down. For negative numbers, rounds up.
+   * Get the display name of a season
    * @private
-   * @param {number} value - Value to round
-   * @param {Object} descriptions - Description mapping
-   * @returns {string} Rounded value as string
+   * @param {string} seasonKey - Season key
+   * @returns {string} Season name
    */
-  _roundToNextLevel(value, descriptions) {
-    // Get all available levels and sort them
-    const levels = Object.keys(descriptions)
-      .map(Number)
-      .sort((a, b) => a - b);
-
-    // For negative numbers, find the next higher level
-    if (value < 0) {
-      for (let i = 0; i < levels.length; i++) {
-        if (value <= levels[i]) {
-          return levels[i].toString();
-        }
-      }
-      // If no higher level found, return the highest negative level
-      const negLevels = levels.filter((l) => l < 0);
-      return negLevels.length ? Math.max(...negLevels).toString() : "0";
-    }
-
-    // For positive numbers, find the next lower level
-    for (let i = levels.length - 1; i >= 0; i--) {
-      if (value >= levels[i]) {
-        return levels[i].toString();
-      }
-    }
-
-    // If no lower level found, return the lowest level
-    return levels[0].toString();
+  _getSeasonName(seasonKey) {
+    return this.settingsData?.seasons?.[seasonKey]?.name || seasonKey;
   }
 }
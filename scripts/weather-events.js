@@ -0,0 +1,335 @@
+/**
+ * Dimensional Weather - Weather Events
+ * Rolls, tracks and describes the named extreme weather events a campaign
+ * setting defines, such as sandstorms, blizzards or ion storms
+ */
+
+import { TimeUtils } from "./time-utils.js";
+import { WeatherDimensions } from "./weather-dimensions.js";
+
+export class WeatherEvents {
+  /**
+   * Duration in hours used when an event does not declare one
+   * @type {Object}
+   */
+  static DEFAULT_DURATION = { min: 1, max: 4 };
+
+  /**
+   * Get every event a campaign setting defines
+   * @param {Object} settingsData - Campaign settings data
+   * @returns {Object[]} Event definitions, each with its key
+   */
+  static getAll(settingsData) {
+    return Object.keys(settingsData?.events || {}).map((key) =>
+      this.get(key, settingsData)
+    );
+  }
+
+  /**
+   * Get an event definition
+   * @param {string} key - Event key
+   * @param {Object} settingsData - Campaign settings data
+   * @returns {Object|null} Event definition or null if unknown
+   */
+  static get(key, settingsData) {
+    const event = settingsData?.events?.[key];
+    if (!event) return null;
+
+    return {
+      description: "",
+      conditions: {},
+      overrides: {},
+      rules: [],
+      ...event,
+      key,
+      name: event.name || key,
+    };
+  }
+
+  /**
+   * Get the chance an event starts on an update in a season
+   * `probability` is either a number or a table of chances keyed by season,
+   * with `default` covering the seasons it does not list.
+   * @param {Object} event - Event definition
+   * @param {string} seasonKey - Current season key
+   * @returns {number} Chance from 0 to 1
+   */
+  static getProbability(event, seasonKey) {
+    const table = event?.probability;
+    const chance =
+      table && typeof table === "object"
+        ? table[seasonKey] ?? table.default
+        : table;
+    const number = Number(chance);
+    return Number.isFinite(number) ? Math.max(0, Math.min(1, number)) : 0;
+  }
+
+  /**
+   * Check whether an event can start in a terrain and season with the given weather
+   * @param {Object} event - Event definition
+   * @param {string} terrainKey - Current terrain key
+   * @param {string} seasonKey - Current season key
+   * @param {Object} values - Weather values keyed by dimension
+   * @returns {boolean} True if the event can start
+   */
+  static isEligible(event, terrainKey, seasonKey, values) {
+    if (Array.isArray(event.terrains) && !event.terrains.includes(terrainKey)) {
+      return false;
+    }
+    if (Array.isArray(event.seasons) && !event.seasons.includes(seasonKey)) {
+      return false;
+    }
+
+    return Object.entries(event.conditions || {}).every(([dimension, range]) => {
+      const value = values?.[dimension];
+      return (
+        value !== undefined &&
+        (range?.min === undefined || value >= range.min) &&
+        (range?.max === undefined || value <= range.max)
+      );
+    });
+  }
+
+  /**
+   * Expire finished events, start new ones and apply every active event's
+   * dimension overrides
+   * New events are rolled unless `scheduled` lists the events to start, as
+   * when the update follows a committed forecast; the forecast's event
+   * instances are adopted with the start and end it predicted.
+   * @param {Object} params - Update parameters
+   * @param {Object} params.values - Weather values keyed by dimension, updated in place
+   * @param {Object[]} [params.activeEvents] - Events active before the update
+   * @param {string} params.terrainKey - Current terrain key
+   * @param {string} params.season - Current season key
+   * @param {number} params.currentTime - Timestamp of the update
+   * @param {SeededRandom} params.rng - Random source
+   * @param {Array<Object|string>} [params.scheduled] - Forecast event instances to adopt, or event keys to start, instead of rolling
+   * @param {Object} params.settingsData - Campaign settings data
+   * @returns {Object} active, started and ended events, and the overrides applied
+   */
+  static update(params) {
+    const {
+      values,
+      activeEvents,
+      terrainKey,
+      season,
+      currentTime,
+      rng,
+      scheduled = null,
+      settingsData,
+    } = params;
+
+    // Events run until their end time, or until the campaign drops them
+    const previous = Array.isArray(activeEvents) ? activeEvents : [];
+    const active = previous.filter(
+      (event) => event.until > currentTime && this.get(event.key, settingsData)
+    );
+    const ended = previous.filter((event) => !active.includes(event));
+
+    const started = [];
+    for (const event of this.getAll(settingsData)) {
+      if (active.some((current) => current.key === event.key)) continue;
+
+      let instance = null;
+      if (scheduled) {
+        // Forecasts from before they kept event instances list only keys
+        const forecast = scheduled.find((entry) => (entry?.key ?? entry) === event.key);
+        if (typeof forecast === "string") {
+          instance = this.create(event, currentTime, rng);
+        } else if (forecast?.until > currentTime) {
+          instance = { ...forecast, name: event.name };
+        }
+      } else if (
+        this.isEligible(event, terrainKey, season, values) &&
+        rng.next() < this.getProbability(event, season)
+      ) {
+        instance = this.create(event, currentTime, rng);
+      }
+      if (!instance) continue;
+
+      active.push(instance);
+      started.push(instance);
+    }
+
+    const overrides = this._applyOverrides(values, active, settingsData);
+
+    return { active, started, ended, overrides };
+  }
+
+  /**
+   * Create an instance of an event starting at a point in time
+   * @param {Object} event - Event definition
+   * @param {number} time - Timestamp the event starts at
+   * @param {SeededRandom} rng - Random source for its duration
+   * @param {Object} [options] - Options
+   * @param {number} [options.hours] - Hours the event lasts, instead of rolling its duration
+   * @returns {Object} Event instance with key, name, start and until
+   */
+  static create(event, time, rng, options = {}) {
+    const hours = options.hours ?? this._rollDuration(event, rng);
+    return {
+      key: event.key,
+      name: event.name,
+      start: time,
+      until: time + hours * TimeUtils.getHourLength(),
+    };
+  }
+
+  /**
+   * Get the definitions of the events active in a weather state
+   * Events that have ended by the given time are left out, even before the
+   * next update drops them from the state.
+   * @param {Object} weatherState - Weather state
+   * @param {Object} settingsData - Campaign settings data
+   * @param {number} [time] - Timestamp to check against, defaults to now
+   * @returns {Object[]} Event definitions with start, until and whether the event began on the last update
+   */
+  static getActive(weatherState, settingsData, time = TimeUtils.getCurrentTimestamp()) {
+    return (weatherState?.events || [])
+      .filter((instance) => !(instance.until <= time))
+      .map((instance) => {
+        const event = this.get(instance.key, settingsData);
+        if (!event) return null;
+        return {
+          ...event,
+          start: instance.start,
+          until: instance.until,
+          isNew: instance.start === weatherState.lastUpdate,
+        };
+      })
+      .filter(Boolean);
+  }
+
+  /**
+   * Format the names of events, e.g. "Sandstorm, Silt Storm"
+   * @param {Array<string|Object>} events - Event keys or instances
+   * @param {Object} settingsData - Campaign settings data
+   * @returns {string} Event names, or an empty string if there are none
+   */
+  static formatNames(events, settingsData) {
+    return (events || [])
+      .map((event) => {
+        const key = typeof event === "string" ? event : event?.key;
+        return this.get(key, settingsData)?.name || event?.name || key;
+      })
+      .filter(Boolean)
+      .join(", ");
+  }
+
+  /**
+   * Render the events active in a weather state as report HTML
+   * Events that began on the last update are announced.
+   * @param {Object} weatherState - Weather state
+   * @param {Object} settingsData - Campaign settings data
+   * @param {number} [time] - Timestamp to check against, defaults to now
+   * @returns {string} Events HTML, or an empty string if no event is active
+   */
+  static renderActive(weatherState, settingsData, time = TimeUtils.getCurrentTimestamp()) {
+    const events = this.getActive(weatherState, settingsData, time);
+    if (!events.length) return "";
+
+    const items = events
+      .map(
+        (event) =>
+          `<p><strong>${event.isNew ? `${event.name} begins!` : event.name}</strong>${
+            event.description ? ` ${event.description}` : ""
+          } <em>(until ${TimeUtils.formatTimestamp(event.until)})</em></p>`
+      )
+      .join("\n");
+
+    return `<div class="weather-events"><h4>Weather Events</h4>${items}</div>`;
+  }
+
+  /**
+   * Check a campaign setting's events for references it does not define
+   * @param {Object} settingsData - Campaign settings data
+   * @returns {string[]} Problems found
+   */
+  static validate(settingsData) {
+    const problems = [];
+    const dimensions = WeatherDimensions.getKeys(settingsData);
+
+    for (const event of this.getAll(settingsData)) {
+      const unknownDimensions = [
+        ...Object.keys(event.conditions || {}),
+        ...Object.keys(event.overrides || {}),
+      ].filter((key) => !dimensions.includes(key));
+      if (unknownDimensions.length) {
+        problems.push(`Event ${event.name}: unknown dimensions ${unknownDimensions.join(", ")}`);
+      }
+
+      const unknownTerrains = (event.terrains || []).filter(
+        (key) => !settingsData?.terrains?.[key]
+      );
+      if (unknownTerrains.length) {
+        problems.push(`Event ${event.name}: unknown terrains ${unknownTerrains.join(", ")}`);
+      }
+
+      const unknownSeasons = (event.seasons || []).filter(
+        (key) => !settingsData?.seasons?.[key]
+      );
+      if (unknownSeasons.length) {
+        problems.push(`Event ${event.name}: unknown seasons ${unknownSeasons.join(", ")}`);
+      }
+    }
+
+    return problems;
+  }
+
+  /**
+   * Roll how many hours an event lasts
+   * `duration` is either a number of hours or a min/max range.
+   * @private
+   * @param {Object} event - Event definition
+   * @param {SeededRandom} rng - Random source
+   * @returns {number} Duration in hours
+   */
+  static _rollDuration(event, rng) {
+    const duration = event.duration ?? this.DEFAULT_DURATION;
+    if (typeof duration !== "object") {
+      return Math.max(0, Number(duration) || 0);
+    }
+
+    const min = Math.max(0, Number(duration.min ?? this.DEFAULT_DURATION.min));
+    const max = Math.max(min, Number(duration.max ?? min));
+    return Math.round((min + rng.next() * (max - min)) * 10) / 10;
+  }
+
+  /**
+   * Apply active events' dimension overrides to weather values
+   * A number sets the dimension; a min/max range clamps it.
+   * @private
+   * @param {Object} values - Weather values keyed by dimension, updated in place
+   * @param {Object[]} active - Active event instances
+   * @param {Object} settingsData - Campaign settings data
+   * @returns {Object[]} Overrides applied, each with event, dimension, from and to
+   */
+  static _applyOverrides(values, active, settingsData) {
+    const applied = [];
+    const keys = WeatherDimensions.getKeys(settingsData);
+
+    for (const instance of active) {
+      const event = this.get(instance.key, settingsData);
+      for (const [dimension, override] of Object.entries(event?.overrides || {})) {
+        if (!keys.includes(dimension)) continue;
+
+        const from = values[dimension];
+        let to = from;
+        if (override && typeof override === "object") {
+          if (override.min !== undefined) to = Math.max(override.min, to);
+          if (override.max !== undefined) to = Math.min(override.max, to);
+        } else {
+          to = Number(override);
+        }
+        to = WeatherDimensions.clamp(dimension, to, settingsData);
+
+        if (to !== from) {
+          values[dimension] = to;
+          applied.push({ event: event.name, dimension, from, to });
+        }
+      }
+    }
+
+    return applied;
+  }
+}
@@ -0,0 +1,296 @@
+/**
+ * Dimensional Weather - Weather Fronts
+ * Tracks multi-day weather systems, such as cold fronts, monsoons or heat
+ * domes, that build, peak and decay as they move through a scene
+ */
+
+import { TimeUtils } from "./time-utils.js";
+import { WeatherDimensions } from "./weather-dimensions.js";
+import { WeatherEvents } from "./weather-events.js";
+
+export class WeatherFronts {
+  /**
+   * Timing used when a front does not declare its own. Approach and duration
+   * are in days; build and decay are shares of the duration.
+   * @type {Object}
+   */
+  static DEFAULTS = {
+    approach: { min: 1, max: 2 },
+    duration: { min: 2, max: 4 },
+    build: 0.3,
+    decay: 0.3,
+  };
+
+  /**
+   * Get every front a campaign setting defines
+   * @param {Object} settingsData - Campaign settings data
+   * @returns {Object[]} Front definitions, each with its key
+   */
+  static getAll(settingsData) {
+    return Object.keys(settingsData?.fronts || {}).map((key) =>
+      this.get(key, settingsData)
+    );
+  }
+
+  /**
+   * Get a front definition merged with the default timing
+   * @param {string} key - Front key
+   * @param {Object} settingsData - Campaign settings data
+   * @returns {Object|null} Front definition or null if unknown
+   */
+  static get(key, settingsData) {
+    const front = settingsData?.fronts?.[key];
+    if (!front) return null;
+
+    return {
+      ...this.DEFAULTS,
+      description: "",
+      modifiers: {},
+      ...front,
+      key,
+      name: front.name || key,
+    };
+  }
+
+  /**
+   * Resolve a front from its key or name
+   * @param {string} input - Name to resolve
+   * @param {Object} settingsData - Campaign settings data
+   * @returns {string|null} Front key or null if unknown
+   */
+  static resolve(input, settingsData) {
+    const normalize = (value) =>
+      String(value ?? "").toLowerCase().replace(/[^a-z0-9]/g, "");
+    const wanted = normalize(input);
+    if (!wanted) return null;
+
+    const match = this.getAll(settingsData).find(
+      (front) => normalize(front.key) === wanted || normalize(front.name) === wanted
+    );
+    return match?.key ?? null;
+  }
+
+  /**
+   * Create a front that arrives after its approach time
+   * @param {Object} front - Front definition
+   * @param {number} time - Timestamp the front is spawned at
+   * @param {SeededRandom} rng - Random source for approach and duration
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.immediate] - Arrive at once instead of approaching
+   * @returns {Object} Front instance with key, name, start and end
+   */
+  static create(front, time, rng, options = {}) {
+    const dayLength = TimeUtils.getDayLength();
+    const approach = options.immediate ? 0 : this._rollDays(front.approach, rng);
+    const duration = this._rollDays(front.duration, rng);
+    const start = time + Math.round(approach * dayLength);
+
+    return {
+      key: front.key,
+      name: front.name,
+      start,
+      end: start + Math.round(duration * dayLength),
+    };
+  }
+
+  /**
+   * Get how strongly a front acts at a point in time
+   * The front ramps up over its build share, holds at full strength, then
+   * fades over its decay share.
+   * @param {Object} instance - Front instance
+   * @param {number} time - Timestamp
+   * @param {Object} settingsData - Campaign settings data
+   * @returns {Object} phase ("approaching", "building", "peak", "decaying" or "passed") and intensity (0-1)
+   */
+  static getPhase(instance, time, settingsData) {
+    if (time < instance.start) return { phase: "approaching", intensity: 0 };
+    if (time >= instance.end) return { phase: "passed", intensity: 0 };
+
+    const front = this.get(instance.key, settingsData) || this.DEFAULTS;
+    const progress = (time - instance.start) / (instance.end - instance.start);
+    const build = Math.max(0, Math.min(1, Number(front.build) || 0));
+    const decay = Math.max(0, Math.min(1 - build, Number(front.decay) || 0));
+    const round = (value) => Math.round(value * 100) / 100;
+
+    if (progress < build) {
+      return { phase: "building", intensity: round(progress / build) };
+    }
+    if (progress > 1 - decay) {
+      return { phase: "decaying", intensity: round((1 - progress) / decay) };
+    }
+    return { phase: "peak", intensity: 1 };
+  }
+
+  /**
+   * Expire passed fronts and spawn new ones
+   * A front is only rolled while no other front is active or approaching, so
+   * weather systems follow one another rather than piling up. When the update
+   * follows a committed forecast, the fronts it predicted are adopted instead.
+   * @param {Object} params - Update parameters
+   * @param {Object[]} [params.fronts] - Fronts known before the update
+   * @param {string} params.terrainKey - Current terrain key
+   * @param {string} params.season - Current season key
+   * @param {number} params.currentTime - Timestamp of the update
+   * @param {SeededRandom} params.rng - Random source
+   * @param {Object[]} [params.scheduled] - Forecast fronts to adopt instead of rolling
+   * @param {Object} params.settingsData - Campaign settings data
+   * @returns {Object} active, spawned and ended fronts
+   */
+  static update(params) {
+    const {
+      fronts,
+      terrainKey,
+      season,
+      currentTime,
+      rng,
+      scheduled = null,
+      settingsData,
+    } = params;
+
+    const previous = Array.isArray(fronts) ? fronts : [];
+    const active = previous.filter(
+      (front) => front.end > currentTime && this.get(front.key, settingsData)
+    );
+    const ended = previous.filter((front) => !active.includes(front));
+    const spawned = [];
+
+    if (scheduled) {
+      for (const front of scheduled) {
+        const known = active.some(
+          (current) => current.key === front.key && current.start === front.start
+        );
+        if (!known && front.end > currentTime) {
+          active.push(front);
+          spawned.push(front);
+        }
+      }
+    } else if (!active.length) {
+      for (const front of this.getAll(settingsData)) {
+        if (!WeatherEvents.isEligible(front, terrainKey, season, {})) continue;
+        if (rng.next() >= WeatherEvents.getProbability(front, season)) continue;
+
+        const instance = this.create(front, currentTime, rng);
+        active.push(instance);
+        spawned.push(instance);
+        break;
+      }
+    }
+
+    return { active, spawned, ended };
+  }
+
+  /**
+   * Combine the modifiers of every front acting at a point in time
+   * Each front's modifiers are scaled by its current intensity.
+   * @param {Object[]} fronts - Front instances
+   * @param {number} time - Timestamp
+   * @param {Object} settingsData - Campaign settings data
+   * @returns {Object} modifiers keyed by dimension and the phase of each front
+   */
+  static getModifiers(fronts, time, settingsData) {
+    const modifiers = {};
+    const phases = [];
+
+    for (const instance of fronts || []) {
+      const front = this.get(instance.key, settingsData);
+      if (!front) continue;
+
+      const { phase, intensity } = this.getPhase(instance, time, settingsData);
+      phases.push({ key: front.key, name: front.name, phase, intensity });
+
+      for (const [key, value] of Object.entries(front.modifiers)) {
+        modifiers[key] = (modifiers[key] || 0) + (Number(value) || 0) * intensity;
+      }
+    }
+
+    for (const key of Object.keys(modifiers)) {
+      modifiers[key] = Math.round(modifiers[key] * 100) / 100;
+    }
+
+    return { modifiers, phases };
+  }
+
+  /**
+   * Describe fronts at a point in time, e.g. "Cold Front (building)"
+   * @param {Object[]} fronts - Front instances
+   * @param {number} time - Timestamp
+   * @param {Object} settingsData - Campaign settings data
+   * @returns {string} Front descriptions, or an empty string if there are none
+   */
+  static formatPhases(fronts, time, settingsData) {
+    return this.getModifiers(fronts, time, settingsData)
+      .phases.filter(({ phase }) => phase !== "passed")
+      .map(({ name, phase }) => `${name} (${phase})`)
+      .join(", ");
+  }
+
+  /**
+   * Render the fronts acting on or approaching a scene as report HTML
+   * @param {Object} weatherState - Weather state
+   * @param {Object} settingsData - Campaign settings data
+   * @returns {string} Fronts HTML, or an empty string if there are none
+   */
+  static renderActive(weatherState, settingsData) {
+    const time = weatherState?.lastUpdate ?? TimeUtils.getCurrentTimestamp();
+    const items = (weatherState?.fronts || [])
+      .map((instance) => {
+        const front = this.get(instance.key, settingsData);
+        if (!front) return null;
+
+        const { phase } = this.getPhase(instance, time, settingsData);
+        if (phase === "passed") return null;
+        const timing =
+          phase === "approaching"
+            ? `arrives ${TimeUtils.formatTimestamp(instance.start)}`
+            : `${phase}, clears ${TimeUtils.formatTimestamp(instance.end)}`;
+        return `<p><strong>${front.name}</strong>${
+          front.description ? ` ${front.description}` : ""
+        } <em>(${timing})</em></p>`;
+      })
+      .filter(Boolean);
+
+    if (!items.length) return "";
+    return `<div class="weather-events"><h4>Weather Fronts</h4>${items.join("\n")}</div>`;
+  }
+
+  /**
+   * Check a campaign setting's fronts for references it does not define
+   * @param {Object} settingsData - Campaign settings data
+   * @returns {string[]} Problems found
+   */
+  static validate(settingsData) {
+    const problems = [];
+    const dimensions = WeatherDimensions.getKeys(settingsData);
+
+    for (const front of this.getAll(settingsData)) {
+      const unknown = Object.keys(front.modifiers).filter(
+        (key) => !dimensions.includes(key)
+      );
+      if (unknown.length) {
+        problems.push(`Front ${front.name}: unknown dimensions ${unknown.join(", ")}`);
+      }
+      if (Number(front.build) + Number(front.decay) > 1) {
+        problems.push(`Front ${front.name}: build and decay together exceed the front's duration`);
+      }
+    }
+
+    return problems;
+  }
+
+  /**
+   * Roll a number of days from a number or a min/max range
+   * @private
+   * @param {number|Object} days - Days or range of days
+   * @param {SeededRandom} rng - Random source
+   * @returns {number} Days
+   */
+  static _rollDays(days, rng) {
+    if (typeof days !== "object" || days === null) {
+      return Math.max(0, Number(days) || 0);
+    }
+
+    const min = Math.max(0, Number(days.min) || 0);
+    const max = Math.max(min, Number(days.max ?? min));
+    return Math.round((min + rng.next() * (max - min)) * 10) / 10;
+  }
+}
@@ -0,0 +1,290 @@
+/**
+ * Dimensional Weather - Ground Conditions
+ * Tracks what the weather leaves behind in a scene, such as snow cover, mud,
+ * standing water, river level, dust or drought, building up from the weather
+ * over time and wearing off at the campaign setting's rates
+ */
+
+import { TimeUtils } from "./time-utils.js";
+import { WeatherDimensions } from "./weather-dimensions.js";
+import { WeatherEvents } from "./weather-events.js";
+
+export class WeatherGround {
+  /**
+   * Highest level a ground condition reaches when it does not declare its own
+   * @type {number}
+   */
+  static DEFAULT_MAX = 10;
+
+  /**
+   * Get every ground condition a campaign setting tracks
+   * @param {Object} settingsData - Campaign settings data
+   * @returns {Object[]} Condition definitions, each with its key
+   */
+  static getAll(settingsData) {
+    return Object.keys(settingsData?.ground || {}).map((key) =>
+      this.get(key, settingsData)
+    );
+  }
+
+  /**
+   * Get a ground condition definition
+   * @param {string} key - Condition key
+   * @param {Object} settingsData - Campaign settings data
+   * @returns {Object|null} Condition definition or null if unknown
+   */
+  static get(key, settingsData) {
+    const condition = settingsData?.ground?.[key];
+    if (!condition) return null;
+
+    return {
+      max: this.DEFAULT_MAX,
+      decay: 0,
+      terms: [],
+      descriptions: {},
+      rules: [],
+      ...condition,
+      key,
+      name: condition.name || key,
+    };
+  }
+
+  /**
+   * Carry every ground condition forward to a new update
+   * The weather recorded at the previous update is what fell since, so each
+   * term adds or removes its rate per hour for every level its dimension is
+   * above `above` (or below `below`) over the hours that have passed, and
+   * `decay` then wears off that share of the level each hour. Without a
+   * previous update, conditions start at the terrain's `ground` levels.
+   * @param {Object} params - Update parameters
+   * @param {Object} [params.previous] - Weather state before the update
+   * @param {Object} params.terrain - Terrain data
+   * @param {string} params.terrainKey - Current terrain key
+   * @param {string} params.season - Current season key
+   * @param {number} params.currentTime - Timestamp of the update
+   * @param {Object} params.settingsData - Campaign settings data
+   * @returns {Object} Levels keyed by condition
+   */
+  static update(params) {
+    const { previous, terrain, terrainKey, season, currentTime, settingsData } = params;
+    const conditions = this.getAll(settingsData);
+    const ground = {};
+
+    const hours =
+      typeof previous?.lastUpdate === "number"
+        ? Math.max(0, currentTime - previous.lastUpdate) / TimeUtils.getHourLength()
+        : 0;
+
+    for (const condition of conditions) {
+      let level = previous?.ground?.[condition.key];
+      if (typeof level !== "number") {
+        ground[condition.key] = this._clamp(terrain?.ground?.[condition.key] ?? 0, condition);
+        continue;
+      }
+
+      if (hours > 0) {
+        const rate = condition.terms
+          .filter((term) => this._termApplies(term, previous, terrainKey, season))
+          .reduce((sum, term) => sum + this._termRate(term, previous), 0);
+        level += rate * hours;
+
+        const decay = Math.max(0, Math.min(1, Number(condition.decay) || 0));
+        level *= Math.pow(1 - decay, hours);
+      }
+
+      ground[condition.key] = this._clamp(level, condition);
+    }
+
+    return ground;
+  }
+
+  /**
+   * Get the ground conditions present in a weather state
+   * @param {Object} weatherState - Weather state
+   * @param {Object} settingsData - Campaign settings data
+   * @returns {Object[]} Conditions with level and description, leaving out those below their lowest description level
+   */
+  static getActive(weatherState, settingsData) {
+    return this.getAll(settingsData)
+      .map((condition) => {
+        const level = weatherState?.ground?.[condition.key] ?? 0;
+        const description = this.describe(condition, level);
+        return description === null ? null : { ...condition, level, description };
+      })
+      .filter(Boolean);
+  }
+
+  /**
+   * Describe a ground condition at a level
+   * @param {Object} condition - Condition definition
+   * @param {number} level - Condition level
+   * @returns {string|null} Description of the highest level reached, or null if none is
+   */
+  static describe(condition, level) {
+    const reached = Object.keys(condition?.descriptions || {})
+      .filter((key) => Number.isFinite(Number(key)) && level >= Number(key))
+      .sort((a, b) => Number(b) - Number(a));
+    return reached.length ? condition.descriptions[reached[0]] : null;
+  }
+
+  /**
+   * Get every ground rule the current levels trigger
+   * A rule triggers when the level is at or above its `min` and at or below
+   * its `max`.
+   * @param {Object} weatherState - Weather state
+   * @param {Object} settingsData - Campaign settings data
+   * @returns {Object[]} Triggered rules, each with condition, description, effect and travel pace
+   */
+  static getTriggeredRules(weatherState, settingsData) {
+    const triggered = [];
+
+    for (const condition of this.getAll(settingsData)) {
+      const level = weatherState?.ground?.[condition.key];
+      if (typeof level !== "number" || !Array.isArray(condition.rules)) continue;
+
+      for (const rule of condition.rules) {
+        if (!rule?.effect && rule?.travelPace === undefined) continue;
+        if (rule.min === undefined && rule.max === undefined) continue;
+        if (
+          (rule.min === undefined || level >= rule.min) &&
+          (rule.max === undefined || level <= rule.max)
+        ) {
+          triggered.push({
+            condition: condition.key,
+            description: rule.description || condition.name,
+            effect: rule.effect || "",
+            travelPace: rule.travelPace ?? null,
+          });
+        }
+      }
+    }
+
+    return triggered;
+  }
+
+  /**
+   * Get how the ground slows overland travel
+   * The slowest triggered rule sets the pace; paces do not stack.
+   * @param {Object} weatherState - Weather state
+   * @param {Object} settingsData - Campaign settings data
+   * @returns {Object} pace multiplier (1 for normal pace) and the rule that sets it
+   */
+  static getTravelPace(weatherState, settingsData) {
+    return this.getTriggeredRules(weatherState, settingsData)
+      .filter((rule) => rule.travelPace !== null && Number.isFinite(Number(rule.travelPace)))
+      .reduce(
+        (slowest, rule) =>
+          Number(rule.travelPace) < slowest.pace
+            ? { pace: Number(rule.travelPace), reason: rule.description }
+            : slowest,
+        { pace: 1, reason: null }
+      );
+  }
+
+  /**
+   * Render the ground conditions in a weather state as report HTML
+   * @param {Object} weatherState - Weather state
+   * @param {Object} settingsData - Campaign settings data
+   * @returns {string} Ground conditions HTML, or an empty string if there are none
+   */
+  static renderActive(weatherState, settingsData) {
+    const active = this.getActive(weatherState, settingsData);
+    if (!active.length) return "";
+
+    const items = active
+      .map((condition) => `<p><strong>${condition.name}:</strong> ${condition.description}</p>`)
+      .join("\n");
+    const { pace, reason } = this.getTravelPace(weatherState, settingsData);
+    const travel =
+      pace < 1 ? `<p><em>Travel pace ×${pace} (${reason})</em></p>` : "";
+
+    return `<div class="weather-events"><h4>Ground Conditions</h4>${items}${travel}</div>`;
+  }
+
+  /**
+   * Check a campaign setting's ground conditions for references it does not define
+   * @param {Object} settingsData - Campaign settings data
+   * @returns {string[]} Problems found
+   */
+  static validate(settingsData) {
+    const problems = [];
+    const dimensions = WeatherDimensions.getKeys(settingsData);
+    const types = Object.keys(settingsData?.precipitationTypes?.types || {});
+
+    for (const condition of this.getAll(settingsData)) {
+      const terms = Array.isArray(condition.terms) ? condition.terms : [];
+      const references = [
+        [
+          "dimensions",
+          terms.flatMap((term) => [term?.dimension, ...Object.keys(term?.conditions || {})]),
+          (key) => dimensions.includes(key),
+        ],
+        ["precipitation types", terms.flatMap((term) => term?.types || []), (key) => types.includes(key)],
+        ["terrains", terms.flatMap((term) => term?.terrains || []), (key) => settingsData?.terrains?.[key]],
+        ["seasons", terms.flatMap((term) => term?.seasons || []), (key) => settingsData?.seasons?.[key]],
+      ];
+      for (const [label, keys, known] of references) {
+        const unknown = [...new Set(keys)].filter((key) => !known(key));
+        if (unknown.length) {
+          problems.push(`Ground condition ${condition.name}: unknown ${label} ${unknown.join(", ")}`);
+        }
+      }
+    }
+
+    for (const [key, terrain] of Object.entries(settingsData?.terrains || {})) {
+      const unknown = Object.keys(terrain?.ground || {}).filter(
+        (condition) => !settingsData?.ground?.[condition]
+      );
+      if (unknown.length) {
+        problems.push(`Terrain ${terrain?.name || key}: unknown ground conditions ${unknown.join(", ")}`);
+      }
+    }
+
+    return problems;
+  }
+
+  /**
+   * Check whether a term applies to the weather that fell
+   * @private
+   * @param {Object} term - Accumulation term
+   * @param {Object} weather - Weather that fell since the previous update
+   * @param {string} terrainKey - Current terrain key
+   * @param {string} seasonKey - Current season key
+   * @returns {boolean} True if the term applies
+   */
+  static _termApplies(term, weather, terrainKey, seasonKey) {
+    if (!term || weather?.[term.dimension] === undefined) return false;
+    if (Array.isArray(term.types) && !term.types.includes(weather.precipitationType)) {
+      return false;
+    }
+    return WeatherEvents.isEligible(term, terrainKey, seasonKey, weather);
+  }
+
+  /**
+   * Get how fast a term changes a condition
+   * @private
+   * @param {Object} term - Accumulation term
+   * @param {Object} weather - Weather that fell since the previous update
+   * @returns {number} Change per hour
+   */
+  static _termRate(term, weather) {
+    const value = weather[term.dimension];
+    const excess =
+      term.below !== undefined
+        ? Math.max(0, Number(term.below) - value)
+        : Math.max(0, value - Number(term.above ?? 0));
+    return (Number(term.rate) || 0) * excess;
+  }
+
+  /**
+   * Keep a level within a condition's range
+   * @private
+   * @param {number} level - Level
+   * @param {Object} condition - Condition definition
+   * @returns {number} Level between 0 and the condition's max, to two decimals
+   */
+  static _clamp(level, condition) {
+    const bounded = Math.max(0, Math.min(Number(condition.max), Number(level) || 0));
+    return Math.round(bounded * 100) / 100;
+  }
+}
@@ -0,0 +1,140 @@
+/**
+ * Dimensional Weather - Dimension Locks
+ * Lets the GM hold a weather dimension at a fixed value, or within a band,
+ * in a scene while everything else keeps changing, until the lock is
+ * cleared or its game-time expiry passes
+ */
+
+import { TimeUtils } from "./time-utils.js";
+import { WeatherDimensions } from "./weather-dimensions.js";
+
+export class WeatherLocks {
+  /**
+   * Check the value or band a lock is asked for
+   * @param {string} key - Dimension key
+   * @param {Object} options - Lock options
+   * @param {number} [options.value] - Value to hold the dimension at
+   * @param {number} [options.min] - Lowest value the dimension may take
+   * @param {number} [options.max] - Highest value the dimension may take
+   * @param {Object} settingsData - Campaign settings data
+   * @returns {string|null} Problem found, or null if the lock is valid
+   */
+  static validate(key, options, settingsData) {
+    const { name } = WeatherDimensions.get(key, settingsData);
+    const bounds = options.value !== undefined
+      ? { value: options.value }
+      : { min: options.min, max: options.max };
+    const given = Object.entries(bounds).filter(([, value]) => value !== undefined);
+
+    if (!given.length) {
+      return `${name} lock needs a value or a min and max`;
+    }
+    for (const [, value] of given) {
+      const problem = WeatherDimensions.validateValue(key, value, settingsData);
+      if (problem) return problem;
+    }
+    if (Number(bounds.min) > Number(bounds.max)) {
+      return `${name} lock min must not be above its max`;
+    }
+    return null;
+  }
+
+  /**
+   * Create a lock on a dimension
+   * A value holds the dimension there; a min, max or both keep it within
+   * that band, open ends falling back to the dimension's limits. Values are
+   * snapped to the dimension's step, as values set by hand are.
+   * @param {string} key - Dimension key
+   * @param {Object} options - Lock options, checked with validate()
+   * @param {number} [options.value] - Value to hold the dimension at
+   * @param {number} [options.min] - Lowest value the dimension may take
+   * @param {number} [options.max] - Highest value the dimension may take
+   * @param {number} [options.until] - Timestamp the lock expires at
+   * @param {Object} settingsData - Campaign settings data
+   * @returns {Object} Lock with dimension, min, max and until
+   */
+  static create(key, options, settingsData) {
+    const dimension = WeatherDimensions.get(key, settingsData);
+    const snap = (value) => WeatherDimensions.clamp(key, value, settingsData);
+    const fixed = options.value !== undefined ? snap(options.value) : null;
+    const until = Number(options.until);
+
+    return {
+      dimension: key,
+      min: fixed ?? snap(options.min ?? dimension.min),
+      max: fixed ?? snap(options.max ?? dimension.max),
+      until: Number.isFinite(until) ? until : null,
+    };
+  }
+
+  /**
+   * Get the locks still in force
+   * Drops locks that have expired and locks on dimensions the campaign
+   * setting does not track.
+   * @param {Object[]} [locks] - Locks from a weather state
+   * @param {number} time - Timestamp
+   * @param {Object} settingsData - Campaign settings data
+   * @returns {Object[]} Locks in force
+   */
+  static getActive(locks, time, settingsData) {
+    if (!Array.isArray(locks)) return [];
+
+    const keys = WeatherDimensions.getKeys(settingsData);
+    return locks.filter(
+      (lock) =>
+        keys.includes(lock?.dimension) &&
+        (typeof lock.until !== "number" || lock.until > time)
+    );
+  }
+
+  /**
+   * Keep a value within the lock on its dimension
+   * @param {string} key - Dimension key
+   * @param {number} value - Value
+   * @param {Object[]} locks - Locks in force
+   * @returns {number} Value held within the lock, or unchanged if the dimension is not locked
+   */
+  static clamp(key, value, locks) {
+    const lock = locks.find((current) => current.dimension === key);
+    if (!lock || typeof value !== "number") return value;
+    return Math.max(lock.min, Math.min(lock.max, value));
+  }
+
+  /**
+   * Hold locked dimensions at their values or within their bands
+   * @param {Object} values - Dimension values, adjusted in place
+   * @param {Object[]} locks - Locks in force
+   * @returns {Object[]} Adjustments made, each with dimension, from and to
+   */
+  static apply(values, locks) {
+    const applied = [];
+    for (const lock of locks) {
+      const from = values[lock.dimension];
+      if (typeof from !== "number") continue;
+
+      const to = this.clamp(lock.dimension, from, locks);
+      if (to !== from) {
+        values[lock.dimension] = to;
+        applied.push({ dimension: lock.dimension, from, to });
+      }
+    }
+    return applied;
+  }
+
+  /**
+   * Describe a lock for the GM
+   * @param {Object} lock - Lock
+   * @param {Object} settingsData - Campaign settings data
+   * @returns {string} e.g. "Wind held between 0 and 3", with its expiry if it has one
+   */
+  static describe(lock, settingsData) {
+    const { name } = WeatherDimensions.get(lock.dimension, settingsData);
+    const held =
+      lock.min === lock.max
+        ? `fixed at ${lock.min} (${WeatherDimensions.describe(lock.dimension, lock.min, settingsData)})`
+        : `held between ${lock.min} and ${lock.max}`;
+    const until =
+      typeof lock.until === "number" ? ` until ${TimeUtils.formatTimestamp(lock.until)}` : "";
+    return `${name} ${held}${until}`;
+  }
+}
@@ -0,0 +1,183 @@
+/**
+ * Dimensional Weather - Precipitation Types
+ * Works out what is falling, such as rain, snow, sleet, hail, ash or silt,
+ * from the weather, terrain, season and active events, and describes it with
+ * the campaign setting's type-specific text
+ */
+
+import { WeatherDimensions } from "./weather-dimensions.js";
+import { WeatherEvents } from "./weather-events.js";
+
+export class WeatherPrecipitation {
+  /**
+   * Settings used when a campaign does not declare its own. `threshold` is
+   * the lowest precipitation value at which anything falls.
+   * @type {Object}
+   */
+  static DEFAULTS = {
+    dimension: "precipitation",
+    threshold: 1,
+  };
+
+  /**
+   * Get the dimension that holds the amount of precipitation
+   * @param {Object} settingsData - Campaign settings data
+   * @returns {string} Dimension key
+   */
+  static getDimension(settingsData) {
+    return settingsData?.precipitationTypes?.dimension || this.DEFAULTS.dimension;
+  }
+
+  /**
+   * Get every precipitation type a campaign setting defines, in the order
+   * they are tried
+   * @param {Object} settingsData - Campaign settings data
+   * @returns {Object[]} Type definitions, each with its key
+   */
+  static getAll(settingsData) {
+    return Object.keys(settingsData?.precipitationTypes?.types || {}).map((key) =>
+      this.get(key, settingsData)
+    );
+  }
+
+  /**
+   * Get a precipitation type definition
+   * @param {string} key - Type key
+   * @param {Object} settingsData - Campaign settings data
+   * @returns {Object|null} Type definition or null if unknown
+   */
+  static get(key, settingsData) {
+    const type = settingsData?.precipitationTypes?.types?.[key];
+    if (!type) return null;
+
+    return {
+      threshold: settingsData.precipitationTypes.threshold ?? this.DEFAULTS.threshold,
+      conditions: {},
+      descriptions: {},
+      ...type,
+      key,
+      name: type.name || key,
+    };
+  }
+
+  /**
+   * Work out what is falling
+   * Types are tried in the order the campaign lists them; the first whose
+   * threshold, conditions, terrains, seasons and events all match is used.
+   * `terrainConditions` replace the conditions of the same dimensions in
+   * particular terrains. A type with `events` only falls while one of those
+   * events is active.
+   * @param {Object} params - Derivation parameters
+   * @param {Object} params.values - Weather values keyed by dimension
+   * @param {string} params.terrainKey - Current terrain key
+   * @param {string} params.season - Current season key
+   * @param {Object[]} [params.events] - Active event instances
+   * @param {Object} params.settingsData - Campaign settings data
+   * @returns {string|null} Type key, or null if nothing falls
+   */
+  static derive(params) {
+    const { values, terrainKey, season, events = [], settingsData } = params;
+    const amount = values?.[this.getDimension(settingsData)];
+    if (amount === undefined) return null;
+
+    const active = (events || []).map((event) => event.key);
+    const match = this.getAll(settingsData).find((type) => {
+      const conditions = {
+        ...type.conditions,
+        ...type.terrainConditions?.[terrainKey],
+      };
+      return (
+        amount >= Number(type.threshold) &&
+        (!Array.isArray(type.events) ||
+          type.events.some((key) => active.includes(key))) &&
+        WeatherEvents.isEligible({ ...type, conditions }, terrainKey, season, values)
+      );
+    });
+    return match?.key ?? null;
+  }
+
+  /**
+   * Get the type falling in a weather state
+   * While a transition is blending in, nothing falls until the amount has
+   * reached the type's threshold.
+   * @param {Object} weatherState - Weather state
+   * @param {Object} settingsData - Campaign settings data
+   * @returns {Object|null} Type definition, or null if nothing falls
+   */
+  static getType(weatherState, settingsData) {
+    const type = this.get(weatherState?.precipitationType, settingsData);
+    if (!type) return null;
+
+    const amount = weatherState[this.getDimension(settingsData)];
+    return amount >= Number(type.threshold) ? type : null;
+  }
+
+  /**
+   * Describe the precipitation in a weather state with its type's text
+   * @param {Object} weatherState - Weather state
+   * @param {Object} settingsData - Campaign settings data
+   * @returns {string|null} Description, or null if nothing falls or the type has no descriptions
+   */
+  static describe(weatherState, settingsData) {
+    const type = this.getType(weatherState, settingsData);
+    if (!type || !Object.keys(type.descriptions).length) return null;
+
+    const amount = weatherState[this.getDimension(settingsData)];
+    const level = WeatherDimensions.roundToNextLevel(amount, type.descriptions);
+    return type.descriptions[level] ?? null;
+  }
+
+  /**
+   * Check a campaign setting's precipitation types and the rules that
+   * refer to them
+   * @param {Object} settingsData - Campaign settings data
+   * @returns {string[]} Problems found
+   */
+  static validate(settingsData) {
+    const problems = [];
+    const dimensions = WeatherDimensions.getKeys(settingsData);
+
+    if (settingsData?.precipitationTypes && !dimensions.includes(this.getDimension(settingsData))) {
+      problems.push(`Precipitation types: unknown dimension ${this.getDimension(settingsData)}`);
+    }
+
+    for (const type of this.getAll(settingsData)) {
+      const terrainConditions = type.terrainConditions || {};
+      const references = [
+        [
+          "dimensions",
+          [type.conditions, ...Object.values(terrainConditions)].flatMap((conditions) =>
+            Object.keys(conditions || {})
+          ),
+          (key) => dimensions.includes(key),
+        ],
+        [
+          "terrains",
+          [...(type.terrains || []), ...Object.keys(terrainConditions)],
+          (key) => settingsData?.terrains?.[key],
+        ],
+        ["seasons", type.seasons || [], (key) => settingsData?.seasons?.[key]],
+        ["events", type.events || [], (key) => settingsData?.events?.[key]],
+      ];
+      for (const [label, keys, known] of references) {
+        const unknown = [...new Set(keys)].filter((key) => !known(key));
+        if (unknown.length) {
+          problems.push(`Precipitation type ${type.name}: unknown ${label} ${unknown.join(", ")}`);
+        }
+      }
+    }
+
+    for (const dimension of WeatherDimensions.getAll(settingsData)) {
+      for (const rule of Array.isArray(dimension.rules) ? dimension.rules : []) {
+        if (!Array.isArray(rule?.types)) continue;
+        const unknown = rule.types.filter((key) => !this.get(key, settingsData));
+        if (unknown.length) {
+          const label = rule.description || dimension.name;
+          problems.push(`Rule ${label}: unknown precipitation types ${unknown.join(", ")}`);
+        }
+      }
+    }
+
+    return problems;
+  }
+}
@@ -0,0 +1,227 @@
+/**
+ * Dimensional Weather - Weather Presets
+ * Named weather, such as "Eye of the Storm" or "Obsidian Plain at Noon",
+ * that GMs save from a scene or campaign authors ship in their setting, and
+ * apply to any scene later: dimension values, events, locks and terrain
+ */
+
+import { TimeUtils } from "./time-utils.js";
+import { WeatherDimensions } from "./weather-dimensions.js";
+import { WeatherEvents } from "./weather-events.js";
+import { WeatherLocks } from "./weather-locks.js";
+
+export class WeatherPresets {
+  /**
+   * Get every preset available in a campaign setting
+   * The campaign's own presets come first, then those saved in the world
+   * for this campaign.
+   * @param {Object} settingsData - Campaign settings data
+   * @returns {Object[]} Presets, each with its key, name and source ("campaign" or "world")
+   */
+  static getAll(settingsData) {
+    const campaign = Object.entries(settingsData?.presets || {}).map(([key, preset]) =>
+      this._normalize(key, preset, "campaign")
+    );
+    const world = Object.entries(this.getWorldPresets())
+      .filter(([, preset]) => !preset.campaign || preset.campaign === settingsData?.id)
+      .map(([key, preset]) => this._normalize(key, preset, "world"));
+    return [...campaign, ...world];
+  }
+
+  /**
+   * Get a preset
+   * @param {string} key - Preset key
+   * @param {Object} settingsData - Campaign settings data
+   * @returns {Object|null} Preset or null if unknown
+   */
+  static get(key, settingsData) {
+    return this.getAll(settingsData).find((preset) => preset.key === key) ?? null;
+  }
+
+  /**
+   * Resolve a preset from its key or name
+   * @param {string} input - Name to resolve
+   * @param {Object} settingsData - Campaign settings data
+   * @returns {string|null} Preset key or null if unknown
+   */
+  static resolve(input, settingsData) {
+    const normalize = (value) =>
+      String(value ?? "").toLowerCase().replace(/[^a-z0-9]/g, "");
+    const wanted = normalize(input);
+    if (!wanted) return null;
+
+    const match = this.getAll(settingsData).find(
+      (preset) => normalize(preset.key) === wanted || normalize(preset.name) === wanted
+    );
+    return match?.key ?? null;
+  }
+
+  /**
+   * Get the presets GMs have saved in the world
+   * @returns {Object} Presets keyed by preset key
+   */
+  static getWorldPresets() {
+    try {
+      return { ...game.settings.get("dimensional-weather", "weatherPresets") };
+    } catch (error) {
+      return {};
+    }
+  }
+
+  /**
+   * Turn a preset name into a key, e.g. "Eye of the Storm" into "eyeOfTheStorm"
+   * @param {string} name - Preset name
+   * @returns {string} Preset key, or an empty string if the name has no letters or digits
+   */
+  static toKey(name) {
+    return String(name ?? "")
+      .split(/[^A-Za-z0-9]+/)
+      .filter(Boolean)
+      .map((word, index) =>
+        index === 0
+          ? word.toLowerCase()
+          : word[0].toUpperCase() + word.slice(1).toLowerCase()
+      )
+      .join("");
+  }
+
+  /**
+   * Capture a weather state as a preset
+   * Events and locks that would end keep the hours they have left.
+   * @param {string} name - Preset name
+   * @param {Object} weatherState - Weather state to capture
+   * @param {number} time - Timestamp the preset is captured at
+   * @param {Object} settingsData - Campaign settings data
+   * @returns {Object} Preset with name, campaign, terrain, values, events and locks
+   */
+  static capture(name, weatherState, time, settingsData) {
+    const hoursLeft = (until) =>
+      Math.round(((until - time) / TimeUtils.getHourLength()) * 10) / 10;
+
+    return {
+      name,
+      campaign: settingsData?.id ?? null,
+      terrain: weatherState.terrain ?? null,
+      values: WeatherDimensions.pick(weatherState, settingsData),
+      events: (weatherState.events || [])
+        .filter((event) => event.until > time)
+        .map((event) => ({ key: event.key, hours: hoursLeft(event.until) })),
+      locks: WeatherLocks.getActive(weatherState.locks, time, settingsData).map((lock) => ({
+        dimension: lock.dimension,
+        min: lock.min,
+        max: lock.max,
+        ...(typeof lock.until === "number" ? { hours: hoursLeft(lock.until) } : {}),
+      })),
+    };
+  }
+
+  /**
+   * Work out the weather a preset puts in a scene
+   * Values are resolved from dimension keys, names or aliases and held within
+   * the preset's locks. Events the campaign does not define, and locks that
+   * are not valid, are left out. Events without hours roll their duration.
+   * @param {Object} preset - Preset
+   * @param {number} time - Timestamp the preset is applied at
+   * @param {SeededRandom} rng - Random source for event durations
+   * @param {Object} settingsData - Campaign settings data
+   * @returns {Object} terrain key (or null to keep the scene's), values, event instances and locks
+   */
+  static build(preset, time, rng, settingsData) {
+    const locks = (preset.locks || [])
+      .map((lock) => ({ ...lock, dimension: WeatherDimensions.resolve(lock.dimension, settingsData) }))
+      .filter((lock) => lock.dimension && !WeatherLocks.validate(lock.dimension, lock, settingsData))
+      .map((lock) =>
+        WeatherLocks.create(lock.dimension, {
+          ...lock,
+          until: lock.hours > 0 ? time + lock.hours * TimeUtils.getHourLength() : undefined,
+        }, settingsData)
+      );
+
+    const values = {};
+    for (const [dimension, value] of Object.entries(preset.values || {})) {
+      const key = WeatherDimensions.resolve(dimension, settingsData);
+      if (!key || !Number.isFinite(Number(value))) continue;
+      values[key] = WeatherDimensions.clamp(key, Number(value), settingsData);
+    }
+    WeatherLocks.apply(values, locks);
+
+    const events = (preset.events || [])
+      .map((entry) => (typeof entry === "string" ? { key: entry } : entry))
+      .map((entry) => ({ entry, event: WeatherEvents.get(entry?.key, settingsData) }))
+      .filter(({ event }) => event)
+      .map(({ entry, event }) =>
+        WeatherEvents.create(event, time, rng, {
+          hours: entry.hours > 0 ? Number(entry.hours) : undefined,
+        })
+      );
+
+    return {
+      terrain: settingsData?.terrains?.[preset.terrain] ? preset.terrain : null,
+      values,
+      events,
+      locks,
+    };
+  }
+
+  /**
+   * Check a campaign setting's presets for references it does not define
+   * @param {Object} settingsData - Campaign settings data
+   * @returns {string[]} Problems found
+   */
+  static validate(settingsData) {
+    const problems = [];
+
+    for (const [key, preset] of Object.entries(settingsData?.presets || {})) {
+      const name = preset?.name || key;
+      if (preset?.terrain && !settingsData?.terrains?.[preset.terrain]) {
+        problems.push(`Preset ${name}: unknown terrain ${preset.terrain}`);
+      }
+
+      for (const [dimension, value] of Object.entries(preset?.values || {})) {
+        const dimensionKey = WeatherDimensions.resolve(dimension, settingsData);
+        const problem = dimensionKey
+          ? WeatherDimensions.validateValue(dimensionKey, value, settingsData)
+          : `unknown dimension ${dimension}`;
+        if (problem) problems.push(`Preset ${name}: ${problem}`);
+      }
+
+      const unknownEvents = (preset?.events || [])
+        .map((entry) => (typeof entry === "string" ? entry : entry?.key))
+        .filter((eventKey) => !WeatherEvents.get(eventKey, settingsData));
+      if (unknownEvents.length) {
+        problems.push(`Preset ${name}: unknown events ${unknownEvents.join(", ")}`);
+      }
+
+      for (const lock of preset?.locks || []) {
+        const dimensionKey = WeatherDimensions.resolve(lock?.dimension, settingsData);
+        const problem = dimensionKey
+          ? WeatherLocks.validate(dimensionKey, lock, settingsData)
+          : `unknown lock dimension ${lock?.dimension}`;
+        if (problem) problems.push(`Preset ${name}: ${problem}`);
+      }
+    }
+
+    return problems;
+  }
+
+  /**
+   * Fill in a preset's defaults
+   * @private
+   * @param {string} key - Preset key
+   * @param {Object} preset - Preset as stored
+   * @param {string} source - Where the preset is stored: "campaign" or "world"
+   * @returns {Object} Preset with its key, name and source
+   */
+  static _normalize(key, preset, source) {
+    return {
+      terrain: null,
+      values: {},
+      events: [],
+      locks: [],
+      ...preset,
+      key,
+      name: preset?.name || key,
+      source,
+    };
+  }
+}
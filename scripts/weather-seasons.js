@@ -0,0 +1,114 @@
+/**
+ * Dimensional Weather - Season Blending
+ * Blends season modifiers by the position within the season, so weather
+ * eases from one season into the next instead of changing on the boundary day
+ */
+
+import { WeatherDimensions } from "./weather-dimensions.js";
+
+export class WeatherSeasons {
+  /**
+   * Positions within a season, as shares of its length, that the early,
+   * mid-season and late modifiers apply at in full
+   * @type {Object}
+   */
+  static ANCHORS = { early: 0.25, mid: 0.5, late: 0.75 };
+
+  /**
+   * Get a season's early, mid-season and late modifiers
+   * `early` and `late` replace the season's modifiers in those parts of the
+   * season, dimension by dimension; `peak` is added on top at mid-season.
+   * @param {string} seasonKey - Season key
+   * @param {Object} settingsData - Campaign settings data
+   * @returns {Object} early, mid and late modifiers keyed by dimension
+   */
+  static getProfile(seasonKey, settingsData) {
+    const season = settingsData?.seasons?.[seasonKey] || {};
+    const modifiers = WeatherDimensions.pick(season.modifiers || {}, settingsData);
+    const peak = WeatherDimensions.pick(season.peak || {}, settingsData);
+
+    const profile = { early: {}, mid: {}, late: {} };
+    for (const key of WeatherDimensions.getKeys(settingsData)) {
+      profile.early[key] = season.early?.[key] ?? modifiers[key];
+      profile.mid[key] = modifiers[key] + peak[key];
+      profile.late[key] = season.late?.[key] ?? modifiers[key];
+    }
+    return profile;
+  }
+
+  /**
+   * Get the season modifiers at a position within the season
+   * Modifiers follow the season's profile through its middle and blend with
+   * the neighbouring seasons towards its edges, meeting them halfway on the
+   * boundary day.
+   * @param {Object} position - Position from TimeUtils.getSeasonPosition()
+   * @param {Object} settingsData - Campaign settings data
+   * @returns {Object} Modifiers keyed by dimension
+   */
+  static getModifiers(position, settingsData) {
+    // Seasons the campaign does not define blend with nothing
+    const neighbour = (key) =>
+      settingsData?.seasons?.[key] ? key : position.season;
+    const current = this.getProfile(position.season, settingsData);
+    const previous = this.getProfile(neighbour(position.previous), settingsData);
+    const next = this.getProfile(neighbour(position.next), settingsData);
+    const { early, mid, late } = this.ANCHORS;
+
+    const modifiers = {};
+    for (const key of WeatherDimensions.getKeys(settingsData)) {
+      const points = [
+        [0, (previous.late[key] + current.early[key]) / 2],
+        [early, current.early[key]],
+        [mid, current.mid[key]],
+        [late, current.late[key]],
+        [1, (current.late[key] + next.early[key]) / 2],
+      ];
+      modifiers[key] = Math.round(this._interpolate(points, position.progress) * 100) / 100;
+    }
+    return modifiers;
+  }
+
+  /**
+   * Check a campaign setting's seasons for dimensions it does not define
+   * @param {Object} settingsData - Campaign settings data
+   * @returns {string[]} Problems found
+   */
+  static validate(settingsData) {
+    const problems = [];
+    const dimensions = WeatherDimensions.getKeys(settingsData);
+
+    for (const [key, season] of Object.entries(settingsData?.seasons || {})) {
+      const unknown = ["modifiers", "early", "late", "peak"]
+        .flatMap((part) => Object.keys(season?.[part] || {}))
+        .filter(
+          (dimension) => dimension !== "variability" && !dimensions.includes(dimension)
+        );
+      if (unknown.length) {
+        problems.push(
+          `Season ${season?.name || key}: unknown dimensions ${[...new Set(unknown)].join(", ")}`
+        );
+      }
+    }
+
+    return problems;
+  }
+
+  /**
+   * Interpolate linearly between points
+   * @private
+   * @param {Array<number[]>} points - Position and value pairs in order
+   * @param {number} position - Position to evaluate
+   * @returns {number} Value
+   */
+  static _interpolate(points, position) {
+    for (let i = 1; i < points.length; i++) {
+      const [at, value] = points[i];
+      if (position <= at) {
+        const [previousAt, previousValue] = points[i - 1];
+        const fraction = (position - previousAt) / (at - previousAt);
+        return previousValue + fraction * (value - previousValue);
+      }
+    }
+    return points[points.length - 1][1];
+  }
+}
@@ -0,0 +1,192 @@
+/**
+ * Dimensional Weather - Weather Units
+ * Maps dimension levels to real-world quantities and formats them in each
+ * user's preferred unit system
+ */
+
+export class WeatherUnits {
+  /**
+   * Physical quantities a dimension can map to, with the unit and precision
+   * used in each system and the conversions between them
+   * @type {Object}
+   */
+  static QUANTITIES = {
+    temperature: {
+      imperial: { unit: "°F", decimals: 0 },
+      metric: { unit: "°C", decimals: 0 },
+      toMetric: (fahrenheit) => ((fahrenheit - 32) * 5) / 9,
+      toImperial: (celsius) => (celsius * 9) / 5 + 32,
+    },
+    speed: {
+      imperial: { unit: "mph", decimals: 0 },
+      metric: { unit: "kph", decimals: 0 },
+      toMetric: (mph) => mph * 1.609344,
+      toImperial: (kph) => kph / 1.609344,
+    },
+    precipitation: {
+      imperial: { unit: "in/hr", decimals: 2 },
+      metric: { unit: "mm/hr", decimals: 1 },
+      toMetric: (inches) => inches * 25.4,
+      toImperial: (millimetres) => millimetres / 25.4,
+    },
+  };
+
+  /**
+   * Unit systems a user can choose between
+   * @type {string[]}
+   */
+  static SYSTEMS = ["imperial", "metric"];
+
+  /**
+   * Get the unit system the current user prefers
+   * @returns {string} "imperial" or "metric"
+   */
+  static getSystem() {
+    try {
+      const system = game.settings.get("dimensional-weather", "unitSystem");
+      return this.SYSTEMS.includes(system) ? system : "imperial";
+    } catch (error) {
+      return "imperial";
+    }
+  }
+
+  /**
+   * Convert a dimension value to the physical quantity its campaign maps it to
+   * Levels between the mapped ones are interpolated linearly; values past the
+   * first or last mapped level take that level's quantity.
+   * @param {string} key - Dimension key
+   * @param {number} value - Dimension value
+   * @param {Object} settingsData - Campaign settings data
+   * @returns {Object|null} Quantity with imperial and metric amounts, or null if the dimension has no units
+   */
+  static measure(key, value, settingsData) {
+    const units = settingsData?.weatherDimensions?.[key]?.units;
+    const quantity = this.QUANTITIES[units?.quantity];
+    if (!quantity || !Number.isFinite(Number(value))) return null;
+
+    const amount = this._interpolate(units.levels, Number(value));
+    if (amount === null) return null;
+
+    const system = units.system === "imperial" ? "imperial" : "metric";
+    const imperial = system === "imperial" ? amount : quantity.toImperial(amount);
+    const metric = system === "metric" ? amount : quantity.toMetric(amount);
+
+    return {
+      quantity: units.quantity,
+      imperial: this._round(imperial, quantity.imperial.decimals),
+      metric: this._round(metric, quantity.metric.decimals),
+    };
+  }
+
+  /**
+   * Format a measurement as text in one unit system, e.g. "88 °F"
+   * @param {Object} measurement - Measurement from measure()
+   * @param {string} [system] - Unit system, defaults to the user's preference
+   * @returns {string} Formatted amount with its unit
+   */
+  static format(measurement, system = this.getSystem()) {
+    if (!measurement) return "";
+    const { unit } = this.QUANTITIES[measurement.quantity][system];
+    return `${measurement[system]} ${unit}`;
+  }
+
+  /**
+   * Format a measurement as HTML that each user's client shows in their own
+   * unit system when the chat message renders
+   * @param {Object} measurement - Measurement from measure()
+   * @returns {string} Span HTML
+   */
+  static formatHTML(measurement) {
+    if (!measurement) return "";
+    return `<span class="dw-units" data-imperial="${this.format(
+      measurement,
+      "imperial"
+    )}" data-metric="${this.format(measurement, "metric")}">${this.format(
+      measurement
+    )}</span>`;
+  }
+
+  /**
+   * Format a dimension value's measurement as an HTML suffix, e.g. " (88 °F)"
+   * @param {string} key - Dimension key
+   * @param {number} value - Dimension value
+   * @param {Object} settingsData - Campaign settings data
+   * @returns {string} Suffix HTML, or an empty string if the dimension has no units
+   */
+  static formatSuffix(key, value, settingsData) {
+    const measurement = this.measure(key, value, settingsData);
+    return measurement ? ` (${this.formatHTML(measurement)})` : "";
+  }
+
+  /**
+   * Get the measurement of every dimension that maps to units
+   * @param {Object} values - Values keyed by dimension
+   * @param {Object} settingsData - Campaign settings data
+   * @param {string} [system] - Unit system, defaults to the user's preference
+   * @returns {Object} Measurements keyed by dimension, each with value, unit, imperial and metric
+   */
+  static getMeasurements(values, settingsData, system = this.getSystem()) {
+    const measurements = {};
+    for (const key of Object.keys(settingsData?.weatherDimensions || {})) {
+      const measurement = this.measure(key, values?.[key], settingsData);
+      if (!measurement) continue;
+      measurements[key] = {
+        value: measurement[system],
+        unit: this.QUANTITIES[measurement.quantity][system].unit,
+        imperial: measurement.imperial,
+        metric: measurement.metric,
+      };
+    }
+    return measurements;
+  }
+
+  /**
+   * Show every measurement in a rendered chat message in the user's unit system
+   * @param {HTMLElement} element - Rendered message element
+   */
+  static localize(element) {
+    const system = this.getSystem();
+    element?.querySelectorAll?.(".dw-units").forEach((span) => {
+      const text = span.dataset[system];
+      if (text) span.textContent = text;
+    });
+  }
+
+  /**
+   * Interpolate the amount mapped to a value between the nearest levels
+   * @private
+   * @param {Object} levels - Amounts keyed by dimension level
+   * @param {number} value - Dimension value
+   * @returns {number|null} Amount, or null if no levels are mapped
+   */
+  static _interpolate(levels, value) {
+    const points = Object.entries(levels || {})
+      .map(([level, amount]) => [Number(level), Number(amount)])
+      .filter(([level, amount]) => Number.isFinite(level) && Number.isFinite(amount))
+      .sort((a, b) => a[0] - b[0]);
+    if (!points.length) return null;
+
+    if (value <= points[0][0]) return points[0][1];
+    for (let i = 1; i < points.length; i++) {
+      const [level, amount] = points[i];
+      if (value <= level) {
+        const [previousLevel, previousAmount] = points[i - 1];
+        const fraction = (value - previousLevel) / (level - previousLevel);
+        return previousAmount + fraction * (amount - previousAmount);
+      }
+    }
+    return points[points.length - 1][1];
+  }
+
+  /**
+   * Round an amount to a number of decimals
+   * @private
+   * @param {number} amount - Amount to round
+   * @param {number} decimals - Decimal places
+   * @returns {number} Rounded amount
+   */
+  static _round(amount, decimals) {
+    // Avoid showing "-0" for amounts that round to zero
+    return Number(amount.toFixed(decimals)) || 0;
+  }
+}
@@ -0,0 +1,282 @@
+/**
+ * Dimensional Weather - Wind Vectors
+ * Tracks where the wind blows from and how hard it gusts alongside the wind
+ * dimension's sustained speed, drifting toward the prevailing wind of the
+ * terrain and season from one update to the next
+ */
+
+import { WeatherUnits } from "./weather-units.js";
+
+export class WeatherWind {
+  /**
+   * Sixteen compass points, clockwise from north
+   * @type {string[]}
+   */
+  static COMPASS = [
+    "N", "NNE", "NE", "ENE", "E", "ESE", "SE", "SSE",
+    "S", "SSW", "SW", "WSW", "W", "WNW", "NW", "NNW",
+  ];
+
+  /**
+   * Settings used when a campaign does not declare its own. `veer` is the
+   * most the direction shifts at random per update, in degrees; `strength`
+   * is how far each update pulls the direction toward the prevailing wind;
+   * `gustiness` scales how far gusts rise above the sustained speed.
+   * @type {Object}
+   */
+  static DEFAULTS = {
+    dimension: "wind",
+    veer: 30,
+    strength: 0.3,
+    gustiness: 0.5,
+  };
+
+  /**
+   * Get the dimension that holds the sustained wind speed
+   * @param {Object} settingsData - Campaign settings data
+   * @returns {string} Dimension key
+   */
+  static getDimension(settingsData) {
+    return settingsData?.wind?.dimension || this.DEFAULTS.dimension;
+  }
+
+  /**
+   * Get the prevailing wind for a terrain and season
+   * A terrain's `prevailingWind` wins over the season's, which wins over the
+   * campaign's `wind.prevailing`.
+   * @param {Object} terrain - Terrain data
+   * @param {string} seasonKey - Current season key
+   * @param {Object} settingsData - Campaign settings data
+   * @returns {Object|null} direction in degrees and strength (0-1), or null if there is none
+   */
+  static getPrevailing(terrain, seasonKey, settingsData) {
+    const prevailing =
+      terrain?.prevailingWind ??
+      settingsData?.seasons?.[seasonKey]?.prevailingWind ??
+      settingsData?.wind?.prevailing;
+    const direction = this.toDegrees(prevailing?.direction);
+    if (direction === null) return null;
+
+    const strength = Number(prevailing.strength ?? this.DEFAULTS.strength);
+    return { direction, strength: Math.max(0, Math.min(1, strength)) };
+  }
+
+  /**
+   * Move the wind on to its next direction and gust
+   * The direction veers at random and is pulled toward the prevailing wind.
+   * When the update follows a committed forecast, the forecast's wind is used.
+   * @param {Object} params - Update parameters
+   * @param {Object} [params.previous] - Wind vector before the update
+   * @param {number} params.speed - Sustained wind speed on the dimension's scale
+   * @param {Object} params.terrain - Terrain data
+   * @param {string} params.season - Current season key
+   * @param {number} [params.span] - Width of the wind dimension relative to -10..10
+   * @param {SeededRandom} params.rng - Random source
+   * @param {Object} [params.scheduled] - Forecast wind vector to use instead of rolling
+   * @param {Object} params.settingsData - Campaign settings data
+   * @returns {Object} Wind vector with direction in degrees, compass point and unclamped gust
+   */
+  static update(params) {
+    const {
+      previous,
+      speed,
+      terrain,
+      season,
+      span = 1,
+      rng,
+      scheduled = null,
+      settingsData,
+    } = params;
+
+    if (scheduled && typeof scheduled.direction === "number") {
+      return {
+        direction: scheduled.direction,
+        compass: this.toCompass(scheduled.direction),
+        gust: Math.max(speed, Number(scheduled.gust) || speed),
+      };
+    }
+
+    const prevailing = this.getPrevailing(terrain, season, settingsData);
+    const veer = Number(settingsData?.wind?.veer ?? this.DEFAULTS.veer);
+
+    let direction;
+    if (typeof previous?.direction === "number") {
+      direction = previous.direction;
+      if (prevailing) {
+        direction += prevailing.strength * this._difference(prevailing.direction, direction);
+      }
+      direction += rng.signed() * veer;
+    } else {
+      direction = prevailing
+        ? prevailing.direction + rng.signed() * veer
+        : rng.next() * 360;
+    }
+    direction = Math.round(((direction % 360) + 360) % 360) % 360;
+
+    const gustiness = Number(
+      terrain?.gustiness ?? settingsData?.wind?.gustiness ?? this.DEFAULTS.gustiness
+    );
+    const gust = speed + Math.max(0, gustiness) * 4 * span * (0.5 + rng.next() / 2);
+
+    return { direction, compass: this.toCompass(direction), gust };
+  }
+
+  /**
+   * Convert degrees to the nearest of the sixteen compass points
+   * @param {number} degrees - Direction in degrees, clockwise from north
+   * @returns {string} Compass point, e.g. "WSW"
+   */
+  static toCompass(degrees) {
+    const index = Math.round((((degrees % 360) + 360) % 360) / 22.5) % 16;
+    return this.COMPASS[index];
+  }
+
+  /**
+   * Convert a compass point or a number of degrees to degrees
+   * @param {string|number} value - Compass point (e.g. "NW") or degrees
+   * @returns {number|null} Degrees, or null if the value is not a direction
+   */
+  static toDegrees(value) {
+    if (typeof value === "string") {
+      const index = this.COMPASS.indexOf(value.trim().toUpperCase());
+      if (index !== -1) return index * 22.5;
+    }
+    if (value === null || value === undefined || value === "") return null;
+
+    const degrees = Number(value);
+    return Number.isFinite(degrees) ? ((degrees % 360) + 360) % 360 : null;
+  }
+
+  /**
+   * Describe a wind vector, e.g. "from the WSW, gusting to 45 mph"
+   * @param {Object} windVector - Wind vector
+   * @param {Object} settingsData - Campaign settings data
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.html] - Show the gust's units as HTML each user sees in their own unit system
+   * @returns {string} Description, or an empty string if there is no wind vector
+   */
+  static describe(windVector, settingsData, options = {}) {
+    if (typeof windVector?.direction !== "number") return "";
+
+    const measurement = WeatherUnits.measure(
+      this.getDimension(settingsData),
+      windVector.gust,
+      settingsData
+    );
+    const gust = measurement
+      ? options.html
+        ? WeatherUnits.formatHTML(measurement)
+        : WeatherUnits.format(measurement)
+      : windVector.gust;
+    return `from the ${windVector.compass || this.toCompass(windVector.direction)}, gusting to ${gust}`;
+  }
+
+  /**
+   * Check the wind conditions of a dimension rule
+   * `direction` lists the compass points the wind must blow from, where
+   * "W" covers west as a whole and "WSW" only its own point, or gives a
+   * `from`/`to` range of degrees clockwise. `gust` gives a min/max range.
+   * @param {Object} rule - Dimension rule
+   * @param {Object} [windVector] - Current wind vector
+   * @returns {boolean} True if the rule has no wind conditions or they are met
+   */
+  static ruleApplies(rule, windVector) {
+    if (!this.hasConditions(rule)) return true;
+    if (typeof windVector?.direction !== "number") return false;
+
+    if (rule.direction !== undefined && !this._matchesDirection(rule.direction, windVector.direction)) {
+      return false;
+    }
+
+    const gust = rule.gust;
+    return (
+      gust === undefined ||
+      ((gust.min === undefined || windVector.gust >= gust.min) &&
+        (gust.max === undefined || windVector.gust <= gust.max))
+    );
+  }
+
+  /**
+   * Check whether a rule tests the wind's direction or gusts
+   * @param {Object} rule - Dimension rule
+   * @returns {boolean} True if the rule has wind conditions
+   */
+  static hasConditions(rule) {
+    return rule?.direction !== undefined || rule?.gust !== undefined;
+  }
+
+  /**
+   * Check a campaign setting's prevailing winds and wind rules
+   * @param {Object} settingsData - Campaign settings data
+   * @returns {string[]} Problems found
+   */
+  static validate(settingsData) {
+    const problems = [];
+    const prevailing = [
+      ["Campaign", settingsData?.wind?.prevailing],
+      ...Object.entries(settingsData?.seasons || {}).map(([key, season]) => [
+        `Season ${season?.name || key}`,
+        season?.prevailingWind,
+      ]),
+      ...Object.entries(settingsData?.terrains || {}).map(([key, terrain]) => [
+        `Terrain ${terrain?.name || key}`,
+        terrain?.prevailingWind,
+      ]),
+    ];
+
+    for (const [label, wind] of prevailing) {
+      if (wind && this.toDegrees(wind.direction) === null) {
+        problems.push(`${label}: prevailing wind direction ${wind.direction} is not a compass point or number of degrees`);
+      }
+    }
+
+    const dimension = settingsData?.weatherDimensions?.[this.getDimension(settingsData)];
+    for (const rule of dimension?.rules || []) {
+      if (!Array.isArray(rule?.direction)) continue;
+      const unknown = rule.direction.filter((point) => this.toDegrees(point) === null);
+      if (unknown.length) {
+        const label = rule.description ? `Wind rule ${rule.description}` : "Wind rule";
+        problems.push(`${label}: unknown compass points ${unknown.join(", ")}`);
+      }
+    }
+
+    return problems;
+  }
+
+  /**
+   * Check whether a direction matches a rule's compass points or degree range
+   * @private
+   * @param {string[]|Object} condition - Compass points, or from/to degrees
+   * @param {number} direction - Wind direction in degrees
+   * @returns {boolean} True if the direction matches
+   */
+  static _matchesDirection(condition, direction) {
+    if (Array.isArray(condition)) {
+      return condition.some((point) => {
+        const center = this.toDegrees(point);
+        if (center === null) return false;
+        // Cardinal points cover a quarter, intercardinal an eighth, the rest a sixteenth
+        const length = String(point).trim().length;
+        const width = typeof point === "number" ? 22.5 : [90, 45, 22.5][Math.min(length, 3) - 1];
+        return Math.abs(this._difference(direction, center)) <= width / 2;
+      });
+    }
+
+    const from = this.toDegrees(condition?.from);
+    const to = this.toDegrees(condition?.to);
+    if (from === null || to === null) return false;
+    const offset = (((direction - from) % 360) + 360) % 360;
+    return offset <= (((to - from) % 360) + 360) % 360;
+  }
+
+  /**
+   * Get the shortest signed turn from one direction to another
+   * @private
+   * @param {number} to - Direction to turn to, in degrees
+   * @param {number} from - Direction to turn from, in degrees
+   * @returns {number} Degrees between -180 and 180
+   */
+  static _difference(to, from) {
+    return ((((to - from) % 360) + 540) % 360) - 180;
+  }
+}